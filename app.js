@@ -0,0 +1,230 @@
+/**
+ * Sales Resolve SaaS - Application
+ * Builds the Express app, HTTP server and Socket.IO server without listening,
+ * so the API can be started by server.js or exercised in-process by the tests
+ */
+
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const rateLimit = require('express-rate-limit');
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+const config = require('./config');
+const authRoutes = require('./routes/auth');
+const messageRoutes = require('./routes/messages');
+const projectRoutes = require('./routes/projects');
+const clientRoutes = require('./routes/clients');
+const conversationRoutes = require('./routes/conversations');
+const portalRoutes = require('./routes/portal');
+const notificationRoutes = require('./routes/notifications');
+const attachmentRoutes = require('./routes/attachments');
+const analyticsRoutes = require('./routes/analytics');
+const auditRoutes = require('./routes/audit');
+const devRoutes = require('./routes/dev');
+const { registerSocketHandlers } = require('./sockets');
+const { enforcePermissions } = require('./middleware/auth');
+const { permissions } = require('./config/permissions');
+const { auditedRoutes } = require('./config/audit');
+const { auditTrail } = require('./middleware/audit');
+const { requestId, keepRequestContext, logRequests } = require('./middleware/requestLogger');
+const { ApiError } = require('./utils/errors');
+const logger = require('./utils/logger');
+
+const NODE_ENV = config.env;
+
+/**
+ * Create the app with its routes and the Socket.IO handlers; returns
+ * { app, server, io } with the server not yet listening
+ */
+const createApp = () => {
+  const app = express();
+  const server = createServer(app);
+  const io = new Server(server, {
+    cors: {
+      origin: config.cors.origins,
+      methods: ['GET', 'POST'],
+      credentials: true,
+    },
+  });
+
+  // Rate limiting (RATE_LIMIT_WINDOW_MS, RATE_LIMIT_MAX_REQUESTS)
+  const limiter = rateLimit({
+    windowMs: config.rateLimit.windowMs,
+    max: config.rateLimit.max,
+    message: {
+      error: 'Too many requests from this IP, please try again later.',
+      code: 'RATE_LIMIT_EXCEEDED',
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  // Correlation id (X-Request-Id) and one structured log line per request
+  app.use(requestId);
+  app.use(logRequests);
+
+  // Apply rate limiting to all requests
+  app.use(limiter);
+
+  // Security middleware
+  app.use(helmet({
+    crossOriginEmbedderPolicy: false,
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        scriptSrc: ["'self'"],
+        imgSrc: ["'self'", "data:", "https:"],
+      },
+    },
+  }));
+
+  // CORS configuration (CORS_ORIGIN, shared with Socket.IO)
+  app.use(cors({
+    origin: config.cors.origins,
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+    exposedHeaders: ['X-Request-Id'],
+  }));
+
+  // Compression middleware
+  app.use(compression());
+
+  // Body parsing middleware
+  app.use(keepRequestContext(express.json({ limit: '100kb' })));
+  app.use(keepRequestContext(express.urlencoded({ extended: true, limit: '100kb' })));
+
+  // Audit log of every mutating call, denied ones included (see config/audit.js)
+  app.use(auditTrail(auditedRoutes));
+
+  // Role-based access control (see config/permissions.js)
+  app.use(enforcePermissions(permissions));
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      environment: NODE_ENV,
+      version: '1.0.0',
+    });
+  });
+
+  // API routes
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: 'OK',
+      message: 'Sales Resolve SaaS API is running',
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Sales Resolve SaaS Backend API',
+      version: '1.0.0',
+      status: 'running',
+      endpoints: {
+        health: '/health',
+        api: '/api/health',
+        messages: '/api/messages',
+        auth: '/api/auth',
+        projects: '/api/projects',
+        clients: '/api/clients',
+        portal: '/api/portal',
+        notifications: '/api/notifications',
+        analytics: '/api/analytics',
+        audit: '/api/audit'
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Messages API (contact form and inbox)
+  app.use('/api/messages', messageRoutes);
+
+  // Auth API
+  app.use('/api/auth', authRoutes);
+
+  // Projects API
+  app.use('/api/projects', projectRoutes);
+
+  // Clients API
+  app.use('/api/clients', clientRoutes);
+
+  // Client conversations addressed to team members
+  app.use('/api/conversations', conversationRoutes);
+
+  // Client portal API
+  app.use('/api/portal', portalRoutes);
+
+  // Notification center
+  app.use('/api/notifications', notificationRoutes);
+
+  // Attachment downloads
+  app.use('/api/attachments', attachmentRoutes);
+
+  // Sales analytics for the admin dashboard
+  app.use('/api/analytics', analyticsRoutes);
+
+  // Audit trail
+  app.use('/api/audit', auditRoutes);
+
+  // Development helpers (memory transport mailbox)
+  if (NODE_ENV !== 'production') {
+    app.use('/api/dev', devRoutes);
+  }
+
+  // Socket.IO connection handling (authenticated chat)
+  registerSocketHandlers(io);
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    // Expected errors carry their own status and code
+    if (err instanceof ApiError) {
+      return res.status(err.status).json({
+        error: err.message,
+        code: err.code,
+        ...(err.details && { details: err.details }),
+      });
+    }
+
+    // Malformed or oversized request bodies rejected by the body parser
+    if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+      return res.status(err.status).json({
+        error: err.type === 'entity.too.large' ? 'Request body too large' : 'Malformed request body',
+        code: err.type === 'entity.too.large' ? 'PAYLOAD_TOO_LARGE' : 'VALIDATION_ERROR',
+      });
+    }
+
+    logger.error('Unhandled error', { error: err, method: req.method, path: req.originalUrl });
+
+    // Don't leak error details in production
+    const errorResponse = {
+      error: NODE_ENV === 'production' ? 'Internal server error' : err.message,
+      code: 'INTERNAL_ERROR',
+      ...(NODE_ENV === 'development' && { stack: err.stack }),
+    };
+
+    res.status(err.status || 500).json(errorResponse);
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      error: 'Route not found',
+      code: 'NOT_FOUND',
+      path: req.originalUrl,
+    });
+  });
+
+  return { app, server, io };
+};
+
+module.exports = {
+  createApp
+};
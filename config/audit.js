@@ -0,0 +1,49 @@
+/**
+ * Audited Routes
+ * Declarative map of "METHOD /path" to the audit action it records and the
+ * entity it changes. Every POST, PUT, PATCH and DELETE is audited; routes not
+ * listed here are recorded under their method and path. For routes with an
+ * entity, the record is loaded before and after the call to store the diff.
+ */
+
+const auditedRoutes = {
+  // Auth (the attempted email is kept for failed logins)
+  'POST /api/auth/login': { action: 'auth.login', failureAction: 'auth.login_failed' },
+  'POST /api/auth/refresh': { action: 'auth.refresh' },
+  'POST /api/auth/logout': { action: 'auth.logout' },
+
+  // Messages
+  'POST /api/messages': { action: 'message.create', entity: 'message' },
+  'PATCH /api/messages/:id': { action: 'message.update', entity: 'message' },
+  'DELETE /api/messages/:id': { action: 'message.delete', entity: 'message' },
+  'POST /api/messages/:id/replies': { action: 'message.reply', entity: 'message' },
+  'POST /api/messages/:id/convert': { action: 'message.convert', entity: 'message' },
+
+  // Projects
+  'POST /api/projects': { action: 'project.create', entity: 'project' },
+  'PATCH /api/projects/:id': { action: 'project.update', entity: 'project' },
+  'DELETE /api/projects/:id': { action: 'project.delete', entity: 'project' },
+  'POST /api/projects/:id/updates': { action: 'project.add_update', entity: 'project' },
+  'POST /api/projects/:id/attachments': { action: 'project.add_attachments', entity: 'project' },
+  'DELETE /api/projects/:id/attachments/:attachmentId': { action: 'project.delete_attachment', entity: 'project' },
+
+  // Clients
+  'POST /api/clients': { action: 'client.create', entity: 'client' },
+  'PATCH /api/clients/:id': { action: 'client.update', entity: 'client' },
+  'POST /api/clients/:id/archive': { action: 'client.archive', entity: 'client' },
+  'POST /api/clients/:id/portal-access': { action: 'client.grant_portal_access', entity: 'client' },
+  'POST /api/clients/:id/documents': { action: 'client.add_document', entity: 'client' },
+  'POST /api/clients/:id/conversation': { action: 'client.send_message', entity: 'client' },
+
+  // Client portal
+  'POST /api/portal/conversation': { action: 'portal.send_message' },
+
+  // Notification center
+  'PATCH /api/notifications/preferences': { action: 'notification.update_preferences' },
+  'POST /api/notifications/read-all': { action: 'notification.read_all' },
+  'POST /api/notifications/:id/read': { action: 'notification.read' }
+};
+
+module.exports = {
+  auditedRoutes
+};
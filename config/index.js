@@ -0,0 +1,296 @@
+/**
+ * Configuration
+ * Every setting read from the environment (and .env), parsed and validated
+ * once at startup. Invalid values always stop the process; missing secrets
+ * stop it in production and are reported as warnings elsewhere.
+ */
+
+const { z } = require('zod');
+const cron = require('node-cron');
+require('dotenv').config();
+
+const ENVIRONMENTS = ['development', 'test', 'production'];
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const DATA_STORES = ['supabase', 'memory'];
+const EMAIL_TRANSPORTS = ['resend', 'smtp', 'file', 'memory', 'console'];
+const STORAGE_DRIVERS = ['local', 'supabase'];
+
+// Origins allowed when CORS_ORIGIN is not set
+const DEFAULT_CORS_ORIGINS = [
+  'https://salesresolvefrontend-6bgv.vercel.app',
+  'https://salesresolvefrontend.vercel.app',
+  'http://localhost:3000'
+];
+
+// Shorter JWT secrets are rejected in production
+const MIN_JWT_SECRET_LENGTH = 32;
+
+// Unset and empty variables both fall back to the default
+const blankToUndefined = value => (typeof value === 'string' && value.trim() === '' ? undefined : value);
+
+const optionalString = () => z.preprocess(blankToUndefined, z.string().trim().optional());
+const string = fallback => z.preprocess(blankToUndefined, z.string().trim().default(fallback));
+const integer = (fallback, min = 0) => z.preprocess(blankToUndefined, z.coerce.number().int().min(min).default(fallback));
+const number = fallback => z.preprocess(blankToUndefined, z.coerce.number().min(0).default(fallback));
+const choice = (values, fallback) => z.preprocess(blankToUndefined, fallback === undefined
+  ? z.enum(values).optional()
+  : z.enum(values).default(fallback));
+const boolean = fallback => z.preprocess(blankToUndefined, z.enum(['true', 'false']).default(String(fallback)))
+  .transform(value => value === 'true');
+
+// Comma-separated list; undefined when the variable is not set at all
+const list = () => z.string().optional()
+  .transform(value => (value === undefined ? undefined : value.split(',').map(item => item.trim()).filter(Boolean)));
+
+const url = () => z.preprocess(blankToUndefined, z.string().trim().url().optional());
+
+const envSchema = z.object({
+  NODE_ENV: choice(ENVIRONMENTS, 'development'),
+  PORT: integer(4000, 1),
+  FRONTEND_URL: z.preprocess(blankToUndefined, z.string().trim().url().default('http://localhost:3000')),
+  LOG_LEVEL: choice(LOG_LEVELS, 'info'),
+
+  CORS_ORIGIN: list().pipe(z.array(z.string().url()).optional()),
+  RATE_LIMIT_WINDOW_MS: integer(15 * 60 * 1000, 1000),
+  RATE_LIMIT_MAX_REQUESTS: integer(100, 1),
+
+  SUPABASE_URL: url(),
+  SUPABASE_SERVICE_ROLE_KEY: optionalString(),
+  SUPABASE_ANON_KEY: optionalString(),
+  DATA_STORE: choice(DATA_STORES),
+  DATA_FILE: optionalString(),
+  DATABASE_URL: optionalString(),
+  SEED_PASSWORD: optionalString(),
+
+  JWT_SECRET: optionalString(),
+  JWT_EXPIRES_IN: string('15m'),
+  JWT_REFRESH_EXPIRES_IN: string('7d'),
+  ADMIN_EMAIL: z.preprocess(blankToUndefined, z.string().trim().email().optional()),
+  ADMIN_PASSWORD: optionalString(),
+
+  EMAIL_TRANSPORT: choice(EMAIL_TRANSPORTS),
+  EMAIL_FALLBACK_TRANSPORT: choice(EMAIL_TRANSPORTS),
+  RESEND_API_KEY: optionalString(),
+  SMTP_HOST: optionalString(),
+  SMTP_PORT: integer(587, 1),
+  SMTP_SECURE: boolean(false),
+  SMTP_USER: optionalString(),
+  SMTP_PASS: optionalString(),
+  EMAIL_FILE_DIR: string('tmp/emails'),
+  FROM_EMAIL: z.preprocess(blankToUndefined, z.string().trim().email().default('noreply@salesresolve.ro')),
+  EMAIL_MAX_ATTEMPTS: integer(5, 1),
+  EMAIL_RETRY_BACKOFF_MS: integer(60 * 1000, 1),
+  EMAIL_QUEUE_CRON: string('*/30 * * * * *')
+    .refine(expression => cron.validate(expression), 'must be a valid cron expression'),
+
+  STORAGE_DRIVER: choice(STORAGE_DRIVERS),
+  STORAGE_LOCAL_DIR: string('tmp/uploads'),
+  SUPABASE_STORAGE_BUCKET: string('attachments'),
+  ATTACHMENT_MAX_SIZE_MB: number(10),
+  ATTACHMENT_MAX_FILES: integer(5, 1),
+  ATTACHMENT_ALLOWED_TYPES: list(),
+
+  CONTACT_RATE_LIMIT_WINDOW_MS: integer(60 * 60 * 1000, 1000),
+  CONTACT_RATE_LIMIT_PER_IP: integer(5, 1),
+  CONTACT_RATE_LIMIT_PER_EMAIL: integer(3, 1),
+  CONTACT_DUPLICATE_WINDOW_MS: integer(24 * 60 * 60 * 1000),
+
+  SPAM_KEYWORDS: list(),
+  SPAM_KEYWORD_SCORE: number(3),
+  SPAM_MAX_LINKS: integer(2),
+  SPAM_LINK_SCORE: number(2),
+  SPAM_SCORE_THRESHOLD: number(5)
+});
+
+/**
+ * Secrets and credentials the chosen setup needs, as [variable, reason] pairs
+ */
+const missingSecrets = (env) => {
+  const missing = [];
+  const supabaseConfigured = Boolean(env.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY);
+
+  if (!env.JWT_SECRET) {
+    missing.push(['JWT_SECRET', 'is required to sign access tokens']);
+  } else if (env.JWT_SECRET.length < MIN_JWT_SECRET_LENGTH) {
+    missing.push(['JWT_SECRET', `must be at least ${MIN_JWT_SECRET_LENGTH} characters`]);
+  }
+
+  if (env.DATA_STORE === 'supabase' && !supabaseConfigured) {
+    missing.push(['SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY', 'are required by DATA_STORE=supabase']);
+  } else if (!env.DATA_STORE && !supabaseConfigured) {
+    missing.push(['SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY', 'are not set, data is kept in memory (set DATA_STORE=memory to allow this)']);
+  }
+
+  if (env.STORAGE_DRIVER === 'supabase' && !supabaseConfigured) {
+    missing.push(['SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY', 'are required by STORAGE_DRIVER=supabase']);
+  }
+
+  [env.EMAIL_TRANSPORT, env.EMAIL_FALLBACK_TRANSPORT].forEach((transport) => {
+    if (transport === 'resend' && !env.RESEND_API_KEY) {
+      missing.push(['RESEND_API_KEY', 'is required by the resend email transport']);
+    }
+    if (transport === 'smtp' && !env.SMTP_HOST) {
+      missing.push(['SMTP_HOST', 'is required by the smtp email transport']);
+    }
+  });
+
+  return missing;
+};
+
+/**
+ * Parse and validate an environment into the config object; throws listing
+ * every problem at once
+ */
+const loadConfig = (source = process.env) => {
+  const result = envSchema.safeParse(source);
+
+  if (!result.success) {
+    const problems = result.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`);
+    throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  const env = result.data;
+  const isProduction = env.NODE_ENV === 'production';
+  const missing = missingSecrets(env).map(([variable, reason]) => `${variable} ${reason}`);
+
+  if (isProduction && missing.length) {
+    throw new Error(`Invalid production configuration:\n  - ${missing.join('\n  - ')}`);
+  }
+
+  return {
+    env: env.NODE_ENV,
+    isProduction,
+    port: env.PORT,
+    frontendUrl: env.FRONTEND_URL,
+    logLevel: env.LOG_LEVEL,
+    // Problems that only stop a production start; logged once the server is up
+    warnings: missing,
+
+    cors: {
+      origins: env.CORS_ORIGIN && env.CORS_ORIGIN.length
+        ? env.CORS_ORIGIN
+        : [...new Set([env.FRONTEND_URL, ...DEFAULT_CORS_ORIGINS])]
+    },
+    rateLimit: {
+      windowMs: env.RATE_LIMIT_WINDOW_MS,
+      max: env.RATE_LIMIT_MAX_REQUESTS
+    },
+
+    supabase: {
+      url: env.SUPABASE_URL || null,
+      serviceRoleKey: env.SUPABASE_SERVICE_ROLE_KEY || null,
+      anonKey: env.SUPABASE_ANON_KEY || null
+    },
+    data: {
+      store: env.DATA_STORE || null,
+      file: env.DATA_FILE || null
+    },
+    database: {
+      url: env.DATABASE_URL || null,
+      seedPassword: env.SEED_PASSWORD || null
+    },
+
+    auth: {
+      jwtSecret: env.JWT_SECRET || null,
+      accessTokenTtl: env.JWT_EXPIRES_IN,
+      refreshTokenTtl: env.JWT_REFRESH_EXPIRES_IN,
+      adminEmail: env.ADMIN_EMAIL || null,
+      adminPassword: env.ADMIN_PASSWORD || null
+    },
+
+    email: {
+      transport: env.EMAIL_TRANSPORT || (env.RESEND_API_KEY ? 'resend' : null),
+      fallbackTransport: env.EMAIL_FALLBACK_TRANSPORT || null,
+      resendApiKey: env.RESEND_API_KEY || null,
+      smtp: {
+        host: env.SMTP_HOST || null,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE,
+        user: env.SMTP_USER || null,
+        pass: env.SMTP_PASS || null
+      },
+      fileDir: env.EMAIL_FILE_DIR,
+      fromEmail: env.FROM_EMAIL,
+      adminEmail: env.ADMIN_EMAIL || 'romanetflavia@gmail.com',
+      maxAttempts: env.EMAIL_MAX_ATTEMPTS,
+      retryBackoffMs: env.EMAIL_RETRY_BACKOFF_MS,
+      queueCron: env.EMAIL_QUEUE_CRON
+    },
+
+    storage: {
+      driver: env.STORAGE_DRIVER || null,
+      localDir: env.STORAGE_LOCAL_DIR,
+      bucket: env.SUPABASE_STORAGE_BUCKET
+    },
+    attachments: {
+      maxFileSize: env.ATTACHMENT_MAX_SIZE_MB * 1024 * 1024,
+      maxFiles: env.ATTACHMENT_MAX_FILES,
+      // Empty means the built-in allowlist
+      allowedTypes: (env.ATTACHMENT_ALLOWED_TYPES || []).map(type => type.toLowerCase())
+    },
+
+    contact: {
+      windowMs: env.CONTACT_RATE_LIMIT_WINDOW_MS,
+      maxPerIp: env.CONTACT_RATE_LIMIT_PER_IP,
+      maxPerEmail: env.CONTACT_RATE_LIMIT_PER_EMAIL,
+      duplicateWindowMs: env.CONTACT_DUPLICATE_WINDOW_MS
+    },
+    spam: {
+      // null means the built-in list; an empty SPAM_KEYWORDS disables keywords
+      keywords: env.SPAM_KEYWORDS ? env.SPAM_KEYWORDS.map(keyword => keyword.toLowerCase()) : null,
+      keywordScore: env.SPAM_KEYWORD_SCORE,
+      maxLinks: env.SPAM_MAX_LINKS,
+      linkScore: env.SPAM_LINK_SCORE,
+      threshold: env.SPAM_SCORE_THRESHOLD
+    }
+  };
+};
+
+/**
+ * The config without secrets, for the startup log; secrets show whether they are set
+ */
+const summarizeConfig = cfg => ({
+  env: cfg.env,
+  port: cfg.port,
+  frontendUrl: cfg.frontendUrl,
+  logLevel: cfg.logLevel,
+  cors: cfg.cors,
+  rateLimit: cfg.rateLimit,
+  dataStore: cfg.data.store || (cfg.supabase.url && cfg.supabase.serviceRoleKey ? 'supabase' : 'memory'),
+  dataFile: cfg.data.file,
+  supabaseUrl: cfg.supabase.url,
+  email: {
+    transport: cfg.email.transport,
+    fallbackTransport: cfg.email.fallbackTransport,
+    queueCron: cfg.email.queueCron,
+    maxAttempts: cfg.email.maxAttempts
+  },
+  storageDriver: cfg.storage.driver || (cfg.supabase.url && cfg.supabase.serviceRoleKey ? 'supabase' : 'local'),
+  // Names of the secrets that are set, never their values
+  configured: Object.entries({
+    JWT_SECRET: cfg.auth.jwtSecret,
+    SUPABASE_SERVICE_ROLE_KEY: cfg.supabase.serviceRoleKey,
+    SUPABASE_ANON_KEY: cfg.supabase.anonKey,
+    ADMIN_PASSWORD: cfg.auth.adminPassword,
+    DATABASE_URL: cfg.database.url,
+    RESEND_API_KEY: cfg.email.resendApiKey,
+    SMTP_PASS: cfg.email.smtp.pass
+  }).filter(([, value]) => value).map(([name]) => name)
+});
+
+/**
+ * Load the process configuration; an invalid one ends the process with the
+ * list of problems rather than a stack trace
+ */
+const loadProcessConfig = () => {
+  try {
+    return loadConfig();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+};
+
+module.exports = loadProcessConfig();
+module.exports.loadConfig = loadConfig;
+module.exports.summarizeConfig = summarizeConfig;
@@ -0,0 +1,104 @@
+/**
+ * Route Permissions
+ * Declarative map of "METHOD /path" to the roles allowed to call it.
+ * Path segments starting with ":" match any value and paths match
+ * case-insensitively; HEAD requests use the GET entry. API routes not listed
+ * here are denied, so public endpoints are listed as PUBLIC.
+ */
+
+const PUBLIC = 'public';
+
+const ADMIN = ['admin'];
+const STAFF = ['admin', 'team'];
+const CLIENT = ['client'];
+const ANY_USER = ['admin', 'team', 'client'];
+
+const permissions = {
+  // Public endpoints: health check, sign-in and the contact form
+  'GET /api/health': PUBLIC,
+  'POST /api/auth/login': PUBLIC,
+  'POST /api/auth/refresh': PUBLIC,
+  'POST /api/auth/logout': PUBLIC,
+  'POST /api/messages': PUBLIC,
+
+  // Auth
+  'GET /api/auth/me': ANY_USER,
+
+  // Messages
+  'GET /api/messages': STAFF,
+  'GET /api/messages/spam-stats': ADMIN,
+  'GET /api/messages/:id': STAFF,
+  'PATCH /api/messages/:id': STAFF,
+  'POST /api/messages/:id/replies': STAFF,
+  'DELETE /api/messages/:id': STAFF,
+  'POST /api/messages/:id/convert': STAFF,
+
+  // Projects
+  'GET /api/projects': STAFF,
+  'POST /api/projects': STAFF,
+  'GET /api/projects/:id': STAFF,
+  'PATCH /api/projects/:id': STAFF,
+  'DELETE /api/projects/:id': ADMIN,
+  'GET /api/projects/:id/updates': STAFF,
+  'POST /api/projects/:id/updates': STAFF,
+  'POST /api/projects/:id/attachments': STAFF,
+  'DELETE /api/projects/:id/attachments/:attachmentId': STAFF,
+
+  // Attachment downloads (clients only for their own projects' files)
+  'GET /api/attachments/:id/download': ANY_USER,
+
+  // Clients
+  'GET /api/clients': STAFF,
+  'POST /api/clients': STAFF,
+  'GET /api/clients/:id': STAFF,
+  'PATCH /api/clients/:id': STAFF,
+  'POST /api/clients/:id/archive': STAFF,
+  'POST /api/clients/:id/portal-access': STAFF,
+  'GET /api/clients/:id/documents': STAFF,
+  'POST /api/clients/:id/documents': STAFF,
+  'GET /api/clients/:id/conversation': STAFF,
+  'POST /api/clients/:id/conversation': STAFF,
+
+  // Client messages addressed to the current team member
+  'GET /api/conversations': STAFF,
+
+  // Sales analytics
+  'GET /api/analytics': ADMIN,
+  'GET /api/analytics/leads': ADMIN,
+  'GET /api/analytics/conversion': ADMIN,
+  'GET /api/analytics/response-time': ADMIN,
+  'GET /api/analytics/messages/status': ADMIN,
+  'GET /api/analytics/projects/status': ADMIN,
+  'GET /api/analytics/pipeline': ADMIN,
+
+  // Audit trail
+  'GET /api/audit': ADMIN,
+
+  // Notification center (every user sees only their own)
+  'GET /api/notifications': ANY_USER,
+  'GET /api/notifications/preferences': ANY_USER,
+  'PATCH /api/notifications/preferences': ANY_USER,
+  'POST /api/notifications/read-all': ANY_USER,
+  'POST /api/notifications/:id/read': ANY_USER,
+
+  // Client portal (scoped to the token's client id)
+  'GET /api/portal/me': CLIENT,
+  'GET /api/portal/projects': CLIENT,
+  'GET /api/portal/projects/:id': CLIENT,
+  'GET /api/portal/documents': CLIENT,
+  'GET /api/portal/conversation': CLIENT,
+  'POST /api/portal/conversation': CLIENT,
+
+  // Development helpers (not mounted in production)
+  'GET /api/dev/mailbox': ADMIN,
+  'DELETE /api/dev/mailbox': ADMIN
+};
+
+module.exports = {
+  PUBLIC,
+  ADMIN,
+  STAFF,
+  CLIENT,
+  ANY_USER,
+  permissions
+};
@@ -1,38 +1,28 @@
 /**
  * Supabase Configuration
- * Database connection and client setup
- * Temporarily disabled until environment variables are configured
+ * Database connection and client setup; without SUPABASE_URL and
+ * SUPABASE_SERVICE_ROLE_KEY the repositories use the memory store instead
  */
 
 const { createClient } = require('@supabase/supabase-js');
-require('dotenv').config();
+const config = require('./index');
+const logger = require('../utils/logger');
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+const { url: supabaseUrl, serviceRoleKey: supabaseServiceKey, anonKey: supabaseAnonKey } = config.supabase;
 
 // Check if Supabase is configured
 if (!supabaseUrl || !supabaseServiceKey) {
-  console.log('⚠️  Supabase not configured. Using mock data for now.');
-  console.log('📝 To enable Supabase, configure: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY');
-  
-  // Return mock clients
+  logger.warn('Supabase not configured, using the memory data store. Configure SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY');
+
   module.exports = {
-    supabase: {
-      from: () => ({
-        select: () => ({ data: [], error: null }),
-        insert: () => ({ data: null, error: null }),
-        update: () => ({ data: null, error: null }),
-        delete: () => ({ data: null, error: null })
-      })
-    },
+    supabase: null,
     supabaseAnon: null,
     supabaseUrl: null,
-    supabaseAnonKey: null
+    supabaseAnonKey: null,
+    isSupabaseConfigured: false
   };
 } else {
-  console.log('✅ Supabase configured successfully');
-  console.log('🔗 Supabase URL:', supabaseUrl);
+  logger.info('Supabase configured', { url: supabaseUrl });
   
   // Create Supabase client with service role key (for server-side operations)
   const supabase = createClient(supabaseUrl, supabaseServiceKey, {
@@ -49,6 +39,7 @@ if (!supabaseUrl || !supabaseServiceKey) {
     supabase,
     supabaseAnon,
     supabaseUrl,
-    supabaseAnonKey
+    supabaseAnonKey,
+    isSupabaseConfigured: true
   };
 }
@@ -0,0 +1,300 @@
+/**
+ * Seed Fixtures
+ * Reproducible sample data: fixed ids and dates, so every seed run produces
+ * the same records. Tables are listed in foreign-key order.
+ */
+
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+
+const BASE_DATE = Date.parse('2025-01-06T09:00:00.000Z');
+
+// BASE_DATE plus a number of days (fractions for hours)
+const at = days => new Date(BASE_DATE + days * 24 * 60 * 60 * 1000).toISOString();
+
+const ids = {
+  admin: '00000000-0000-4000-8000-000000000001',
+  team: '00000000-0000-4000-8000-000000000002',
+  clientUser: '00000000-0000-4000-8000-000000000003',
+  clientAcme: '00000000-0000-4000-8000-000000000101',
+  clientBistro: '00000000-0000-4000-8000-000000000102',
+  projectAcmeSite: '00000000-0000-4000-8000-000000000201',
+  projectBistroShop: '00000000-0000-4000-8000-000000000202',
+  messageNew: '00000000-0000-4000-8000-000000000301',
+  messageAssigned: '00000000-0000-4000-8000-000000000302',
+  messageConverted: '00000000-0000-4000-8000-000000000303',
+  messageSpam: '00000000-0000-4000-8000-000000000304'
+};
+
+/**
+ * Build the fixtures; password hashes are computed here, so this is async
+ */
+const buildFixtures = async ({ password = config.database.seedPassword } = {}) => {
+  // No built-in password: seeded accounts would otherwise have one published in the source
+  if (!password) {
+    throw new Error('SEED_PASSWORD is required: set the password of the seeded accounts');
+  }
+
+  const passwordHash = await bcrypt.hash(password, 10);
+
+  return {
+    clients: [
+      {
+        id: ids.clientAcme,
+        name: 'Acme Consulting',
+        email: 'contact@acme.example.com',
+        company: 'Acme Consulting SRL',
+        phone: '+40 721 000 001',
+        notes: null,
+        status: 'active',
+        welcome_sent_at: at(2),
+        archived_at: null,
+        created_at: at(2),
+        updated_at: at(2)
+      },
+      {
+        id: ids.clientBistro,
+        name: 'Bistro Central',
+        email: 'office@bistro.example.com',
+        company: 'Bistro Central SRL',
+        phone: null,
+        notes: 'Prefers phone calls in the morning.',
+        status: 'active',
+        welcome_sent_at: at(5),
+        archived_at: null,
+        created_at: at(5),
+        updated_at: at(5)
+      }
+    ],
+
+    users: [
+      {
+        id: ids.admin,
+        email: 'admin@salesresolve.example.com',
+        name: 'Admin',
+        role: 'admin',
+        client_id: null,
+        password_hash: passwordHash,
+        created_at: at(0)
+      },
+      {
+        id: ids.team,
+        email: 'echipa@salesresolve.example.com',
+        name: 'Maria Ionescu',
+        role: 'team',
+        client_id: null,
+        password_hash: passwordHash,
+        created_at: at(0)
+      },
+      {
+        id: ids.clientUser,
+        email: 'contact@acme.example.com',
+        name: 'Acme Consulting',
+        role: 'client',
+        client_id: ids.clientAcme,
+        password_hash: passwordHash,
+        created_at: at(3)
+      }
+    ],
+
+    projects: [
+      {
+        id: ids.projectAcmeSite,
+        name: 'Website Acme Consulting',
+        description: 'Site de prezentare cu 5 pagini și formular de contact.',
+        client_id: ids.clientAcme,
+        client_name: 'Acme Consulting',
+        client_email: 'contact@acme.example.com',
+        budget: 2500,
+        deadline: at(60),
+        assigned_to: [ids.team],
+        status: 'in_progress',
+        created_by: ids.admin,
+        created_at: at(2),
+        updated_at: at(10)
+      },
+      {
+        id: ids.projectBistroShop,
+        name: 'Magazin online Bistro Central',
+        description: 'Comenzi online cu livrare.',
+        client_id: ids.clientBistro,
+        client_name: 'Bistro Central',
+        client_email: 'office@bistro.example.com',
+        budget: 4000,
+        deadline: null,
+        assigned_to: [],
+        status: 'lead',
+        created_by: ids.team,
+        created_at: at(5),
+        updated_at: at(5)
+      }
+    ],
+
+    project_updates: [
+      {
+        id: '00000000-0000-4000-8000-000000000401',
+        project_id: ids.projectAcmeSite,
+        type: 'created',
+        message: 'Project created from contact message',
+        author_id: ids.admin,
+        metadata: { message_id: ids.messageConverted },
+        client_notified: false,
+        created_at: at(2)
+      },
+      {
+        id: '00000000-0000-4000-8000-000000000402',
+        project_id: ids.projectAcmeSite,
+        type: 'status_change',
+        message: 'Am început lucrul la design.',
+        author_id: ids.team,
+        metadata: { from: 'proposal', to: 'in_progress' },
+        client_notified: true,
+        created_at: at(10)
+      }
+    ],
+
+    client_documents: [
+      {
+        id: '00000000-0000-4000-8000-000000000501',
+        client_id: ids.clientAcme,
+        project_id: ids.projectAcmeSite,
+        type: 'invoice',
+        name: 'Factura avans SR-0001',
+        url: 'https://files.example.com/invoices/SR-0001.pdf',
+        amount: 1250,
+        currency: 'EUR',
+        due_date: at(17),
+        status: 'paid',
+        created_by: ids.admin,
+        created_at: at(3)
+      }
+    ],
+
+    messages: [
+      {
+        id: ids.messageNew,
+        name: 'Andrei Popescu',
+        email: 'andrei.popescu@example.com',
+        content: 'Bună ziua, aș dori o ofertă pentru un magazin online.',
+        status: 'new',
+        spam_score: 0,
+        spam_reasons: null,
+        assigned_to: null,
+        notes: [],
+        client_id: null,
+        project_id: null,
+        converted_at: null,
+        deleted_at: null,
+        deleted_by: null,
+        created_at: at(12),
+        updated_at: null
+      },
+      {
+        id: ids.messageAssigned,
+        name: 'Elena Dumitru',
+        email: 'elena.dumitru@example.com',
+        content: 'Avem nevoie de un CRM simplu pentru echipa de vânzări.',
+        status: 'replied',
+        spam_score: 0,
+        spam_reasons: null,
+        assigned_to: ids.team,
+        notes: [
+          { id: '00000000-0000-4000-8000-000000000601', author_id: ids.admin, body: 'Sună-o joi.', created_at: at(8) }
+        ],
+        client_id: null,
+        project_id: null,
+        converted_at: null,
+        deleted_at: null,
+        deleted_by: null,
+        created_at: at(7),
+        updated_at: at(8.5)
+      },
+      {
+        id: ids.messageConverted,
+        name: 'Acme Consulting',
+        email: 'contact@acme.example.com',
+        content: 'Vrem un site nou pentru firmă.',
+        status: 'converted',
+        spam_score: 0,
+        spam_reasons: null,
+        assigned_to: ids.admin,
+        notes: [],
+        client_id: ids.clientAcme,
+        project_id: ids.projectAcmeSite,
+        converted_at: at(2),
+        deleted_at: null,
+        deleted_by: null,
+        created_at: at(1),
+        updated_at: at(2)
+      },
+      {
+        id: ids.messageSpam,
+        name: 'Best Casino',
+        email: 'promo@spam.example.com',
+        content: 'Win big at our casino! http://a.example http://b.example http://c.example',
+        status: 'spam',
+        spam_score: 5,
+        spam_reasons: ['keyword:casino', 'links'],
+        assigned_to: null,
+        notes: [],
+        client_id: null,
+        project_id: null,
+        converted_at: null,
+        deleted_at: null,
+        deleted_by: null,
+        created_at: at(11),
+        updated_at: null
+      }
+    ],
+
+    message_replies: [
+      {
+        id: '00000000-0000-4000-8000-000000000701',
+        message_id: ids.messageAssigned,
+        author_id: ids.team,
+        author_name: 'Maria Ionescu',
+        to_email: 'elena.dumitru@example.com',
+        subject: 'Re: Mesajul tău către Sales Resolve',
+        body: 'Mulțumim pentru mesaj! Vă sunăm joi pentru detalii.',
+        email_status: 'queued',
+        email_id: null,
+        email_error: null,
+        created_at: at(8.5)
+      }
+    ],
+
+    conversation_messages: [
+      {
+        id: '00000000-0000-4000-8000-000000000801',
+        room: `project-${ids.projectAcmeSite}`,
+        client_id: ids.clientAcme,
+        project_id: ids.projectAcmeSite,
+        author_id: ids.clientUser,
+        author_name: 'Acme Consulting',
+        author_role: 'client',
+        body: 'Putem adăuga și o pagină de cariere?',
+        recipient_ids: [ids.team],
+        read_by: [],
+        created_at: at(11)
+      },
+      {
+        id: '00000000-0000-4000-8000-000000000802',
+        room: `project-${ids.projectAcmeSite}`,
+        client_id: ids.clientAcme,
+        project_id: ids.projectAcmeSite,
+        author_id: ids.team,
+        author_name: 'Maria Ionescu',
+        author_role: 'team',
+        body: 'Sigur, o includem în etapa a doua.',
+        recipient_ids: [],
+        read_by: [],
+        created_at: at(11.2)
+      }
+    ]
+  };
+};
+
+module.exports = {
+  ids,
+  buildFixtures
+};
@@ -0,0 +1,37 @@
+/**
+ * Database Tooling
+ * Postgres connection (DATABASE_URL) for the migration and seed commands
+ */
+
+const { Client } = require('pg');
+const config = require('../config');
+
+/**
+ * Connect to DATABASE_URL; the caller ends the client
+ */
+const connect = async (connectionString = config.database.url) => {
+  if (!connectionString) {
+    throw new Error('DATABASE_URL is not configured');
+  }
+
+  const client = new Client({ connectionString });
+  await client.connect();
+  return client;
+};
+
+/**
+ * Run a command's main function and exit with its status
+ */
+const runCommand = (main) => {
+  main(process.argv.slice(2))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error.message);
+      process.exit(1);
+    });
+};
+
+module.exports = {
+  connect,
+  runCommand
+};
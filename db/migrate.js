@@ -0,0 +1,110 @@
+/**
+ * Migration Runner
+ * Applies the SQL files in db/migrations in order, each in its own transaction,
+ * and records them in schema_migrations.
+ *
+ *   npm run migrate             apply pending migrations
+ *   npm run migrate -- status   list applied and pending migrations
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { connect, runCommand } = require('./index');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Held while migrating so two runs cannot apply the same file
+const LOCK_ID = 720431;
+
+/**
+ * Migration files as { version, file }, ordered by their numeric prefix
+ */
+const listMigrations = async () => {
+  const files = (await fs.readdir(MIGRATIONS_DIR))
+    .filter(file => /^\d+_[\w-]+\.sql$/.test(file))
+    .sort();
+
+  return files.map(file => ({ version: path.basename(file, '.sql'), file: path.join(MIGRATIONS_DIR, file) }));
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version text PRIMARY KEY,
+      applied_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+};
+
+const getApplied = async (client) => {
+  const { rows } = await client.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row.applied_at]));
+};
+
+/**
+ * Apply pending migrations; returns the versions applied
+ */
+const migrate = async (client) => {
+  await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await getApplied(client);
+    const pending = (await listMigrations()).filter(({ version }) => !applied.has(version));
+
+    for (const { version, file } of pending) {
+      const sql = await fs.readFile(file, 'utf8');
+
+      await client.query('BEGIN');
+      try {
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (version) VALUES ($1)', [version]);
+        await client.query('COMMIT');
+        console.log(`Applied ${version}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${version} failed: ${error.message}`);
+      }
+    }
+
+    return pending.map(({ version }) => version);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+  }
+};
+
+const printStatus = async (client) => {
+  await ensureMigrationsTable(client);
+  const applied = await getApplied(client);
+
+  (await listMigrations()).forEach(({ version }) => {
+    const appliedAt = applied.get(version);
+    console.log(`${appliedAt ? `applied ${appliedAt.toISOString()}` : 'pending'.padEnd(32)}  ${version}`);
+  });
+};
+
+const main = async ([command = 'up']) => {
+  const client = await connect();
+
+  try {
+    if (command === 'status') {
+      await printStatus(client);
+    } else if (command === 'up') {
+      const applied = await migrate(client);
+      console.log(applied.length ? `${applied.length} migration(s) applied` : 'Database is up to date');
+    } else {
+      throw new Error(`Unknown command: ${command}. Use up or status`);
+    }
+  } finally {
+    await client.end();
+  }
+};
+
+if (require.main === module) {
+  runCommand(main);
+}
+
+module.exports = {
+  listMigrations,
+  migrate
+};
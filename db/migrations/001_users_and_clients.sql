@@ -0,0 +1,38 @@
+-- Clients, user accounts and refresh tokens
+
+CREATE TABLE clients (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  email text NOT NULL UNIQUE,
+  company text,
+  phone text,
+  notes text,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'archived')),
+  welcome_sent_at timestamptz,
+  archived_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE users (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  email text NOT NULL UNIQUE,
+  name text,
+  role text NOT NULL CHECK (role IN ('admin', 'team', 'client')),
+  -- Client accounts are linked to the client record they may see in the portal
+  client_id uuid REFERENCES clients (id) ON DELETE SET NULL,
+  password_hash text NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX users_role_idx ON users (role);
+
+CREATE TABLE refresh_tokens (
+  id uuid PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX refresh_tokens_user_id_idx ON refresh_tokens (user_id);
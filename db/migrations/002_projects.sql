@@ -0,0 +1,53 @@
+-- Projects, their update timeline and documents shared with clients
+
+CREATE TABLE projects (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  description text,
+  client_id uuid REFERENCES clients (id) ON DELETE SET NULL,
+  -- Copied from the client for notifications
+  client_name text,
+  client_email text,
+  budget numeric(12, 2) CHECK (budget >= 0),
+  deadline timestamptz,
+  assigned_to uuid[] NOT NULL DEFAULT '{}',
+  status text NOT NULL DEFAULT 'lead'
+    CHECK (status IN ('lead', 'proposal', 'in_progress', 'review', 'delivered', 'archived')),
+  created_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX projects_client_id_idx ON projects (client_id);
+CREATE INDEX projects_status_idx ON projects (status);
+CREATE INDEX projects_assigned_to_idx ON projects USING gin (assigned_to);
+
+CREATE TABLE project_updates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  project_id uuid NOT NULL REFERENCES projects (id) ON DELETE CASCADE,
+  type text NOT NULL DEFAULT 'note',
+  message text NOT NULL,
+  author_id uuid REFERENCES users (id) ON DELETE SET NULL,
+  metadata jsonb,
+  client_notified boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX project_updates_project_id_idx ON project_updates (project_id, created_at);
+
+CREATE TABLE client_documents (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  client_id uuid NOT NULL REFERENCES clients (id) ON DELETE CASCADE,
+  project_id uuid REFERENCES projects (id) ON DELETE SET NULL,
+  type text NOT NULL CHECK (type IN ('invoice', 'file')),
+  name text NOT NULL,
+  url text NOT NULL,
+  amount numeric(12, 2),
+  currency text,
+  due_date timestamptz,
+  status text,
+  created_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX client_documents_client_id_idx ON client_documents (client_id, created_at);
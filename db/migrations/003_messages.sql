@@ -0,0 +1,42 @@
+-- Contact-form messages (the text is stored in `content`) and replies sent from the inbox
+
+CREATE TABLE messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  email text NOT NULL,
+  content text NOT NULL,
+  status text NOT NULL DEFAULT 'new'
+    CHECK (status IN ('new', 'read', 'in_progress', 'replied', 'spam', 'archived', 'converted')),
+  spam_score numeric,
+  spam_reasons text[],
+  assigned_to uuid REFERENCES users (id) ON DELETE SET NULL,
+  notes jsonb NOT NULL DEFAULT '[]',
+  -- Set when the message is converted into a client (and optionally a project)
+  client_id uuid REFERENCES clients (id) ON DELETE SET NULL,
+  project_id uuid REFERENCES projects (id) ON DELETE SET NULL,
+  converted_at timestamptz,
+  deleted_at timestamptz,
+  deleted_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz
+);
+
+CREATE INDEX messages_inbox_idx ON messages (created_at DESC) WHERE deleted_at IS NULL;
+CREATE INDEX messages_email_idx ON messages (lower(email));
+CREATE INDEX messages_status_idx ON messages (status);
+
+CREATE TABLE message_replies (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_id uuid NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+  author_id uuid REFERENCES users (id) ON DELETE SET NULL,
+  author_name text,
+  to_email text NOT NULL,
+  subject text NOT NULL,
+  body text NOT NULL,
+  email_status text NOT NULL CHECK (email_status IN ('queued', 'failed')),
+  email_id uuid,
+  email_error text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX message_replies_message_id_idx ON message_replies (message_id, created_at);
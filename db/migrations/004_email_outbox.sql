@@ -0,0 +1,25 @@
+-- Outgoing email outbox processed by the email worker
+
+CREATE TABLE email_notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  to_email text NOT NULL,
+  subject text NOT NULL,
+  body text NOT NULL,
+  text_body text,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz,
+  last_error text,
+  -- Contact message the email answers, if any
+  message_id uuid REFERENCES messages (id) ON DELETE SET NULL,
+  -- Request that queued the email, for tracing delivery logs
+  request_id text,
+  transport text,
+  provider_id text,
+  sent_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX email_notifications_due_idx ON email_notifications (next_attempt_at) WHERE status = 'pending';
+CREATE INDEX email_notifications_to_email_idx ON email_notifications (lower(to_email));
@@ -0,0 +1,42 @@
+-- Per-user notifications, delivery preferences and client/team conversations
+
+CREATE TABLE notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  type text NOT NULL,
+  title text NOT NULL,
+  body text,
+  entity_type text,
+  entity_id text,
+  data jsonb,
+  read_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX notifications_user_id_idx ON notifications (user_id, created_at DESC);
+CREATE INDEX notifications_unread_idx ON notifications (user_id) WHERE read_at IS NULL;
+
+CREATE TABLE notification_preferences (
+  user_id uuid PRIMARY KEY REFERENCES users (id) ON DELETE CASCADE,
+  preferences jsonb NOT NULL DEFAULT '{}',
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE conversation_messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- team, client-<id> or project-<id>
+  room text NOT NULL,
+  client_id uuid REFERENCES clients (id) ON DELETE CASCADE,
+  project_id uuid REFERENCES projects (id) ON DELETE CASCADE,
+  author_id uuid REFERENCES users (id) ON DELETE SET NULL,
+  author_name text,
+  author_role text NOT NULL,
+  body text NOT NULL,
+  recipient_ids uuid[] NOT NULL DEFAULT '{}',
+  read_by jsonb NOT NULL DEFAULT '[]',
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX conversation_messages_room_idx ON conversation_messages (room, created_at);
+CREATE INDEX conversation_messages_client_id_idx ON conversation_messages (client_id, created_at);
+CREATE INDEX conversation_messages_recipient_ids_idx ON conversation_messages USING gin (recipient_ids);
@@ -0,0 +1,15 @@
+-- Metadata of files attached to messages and projects (contents live in file storage)
+
+CREATE TABLE attachments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  entity_type text NOT NULL CHECK (entity_type IN ('message', 'project')),
+  entity_id uuid NOT NULL,
+  name text NOT NULL,
+  mime_type text NOT NULL,
+  size bigint NOT NULL,
+  storage_key text NOT NULL UNIQUE,
+  uploaded_by uuid REFERENCES users (id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX attachments_entity_idx ON attachments (entity_type, entity_id, created_at);
@@ -0,0 +1,27 @@
+-- Audit trail of mutating API calls: who did what to which record, with the field diff
+
+CREATE TABLE audit_logs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  action text NOT NULL,
+  outcome text NOT NULL CHECK (outcome IN ('success', 'failure')),
+  -- Kept when the user is deleted; the email also covers failed logins
+  actor_id uuid,
+  actor_email text,
+  actor_role text,
+  entity_type text,
+  entity_id text,
+  -- { field: { from, to } }
+  changes jsonb,
+  method text NOT NULL,
+  path text NOT NULL,
+  status_code integer NOT NULL,
+  ip text,
+  user_agent text,
+  request_id text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX audit_logs_created_at_idx ON audit_logs (created_at DESC);
+CREATE INDEX audit_logs_actor_id_idx ON audit_logs (actor_id, created_at DESC);
+CREATE INDEX audit_logs_entity_idx ON audit_logs (entity_type, entity_id, created_at DESC);
+CREATE INDEX audit_logs_action_idx ON audit_logs (action, created_at DESC);
@@ -0,0 +1,5 @@
+-- Emails being sent hold a lease in next_attempt_at; the worker picks up
+-- sending rows whose lease expired (the process stopped mid-send) again
+
+DROP INDEX email_notifications_due_idx;
+CREATE INDEX email_notifications_due_idx ON email_notifications (next_attempt_at) WHERE status IN ('pending', 'sending');
@@ -0,0 +1,107 @@
+/**
+ * Seed Command
+ * Loads the fixtures from db/fixtures.js. Rows are upserted by id, so seeding
+ * twice leaves the same data and resets edited sample records.
+ *
+ *   npm run seed    with DATABASE_URL: straight into Postgres (run migrations first)
+ *                   otherwise: through the repositories (Supabase, or the memory
+ *                   store with DATA_FILE set)
+ *
+ * SEED_PASSWORD must be set (the password of every seeded account); seeding
+ * is refused in production.
+ */
+
+const { connect, runCommand } = require('./index');
+const { buildFixtures } = require('./fixtures');
+const config = require('../config');
+
+// Columns sent to Postgres as JSON; other arrays are Postgres arrays
+const JSON_COLUMNS = ['notes', 'metadata', 'data', 'preferences', 'read_by'];
+
+const toParam = (column, value) => (
+  JSON_COLUMNS.includes(column) && value !== null ? JSON.stringify(value) : value
+);
+
+const upsertRow = async (client, table, row) => {
+  const columns = Object.keys(row);
+  const placeholders = columns.map((column, index) => `$${index + 1}`);
+  const updates = columns.filter(column => column !== 'id').map(column => `${column} = EXCLUDED.${column}`);
+
+  await client.query(
+    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})
+     ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}`,
+    columns.map(column => toParam(column, row[column]))
+  );
+};
+
+/**
+ * Upsert the fixtures into Postgres in one transaction
+ */
+const seedDatabase = async (client, fixtures) => {
+  await client.query('BEGIN');
+
+  try {
+    for (const [table, rows] of Object.entries(fixtures)) {
+      for (const row of rows) {
+        await upsertRow(client, table, row);
+      }
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Upsert the fixtures through the configured repositories
+ */
+const seedRepositories = async (fixtures) => {
+  const repositories = require('../repositories');
+  const byTable = Object.fromEntries(
+    Object.entries(repositories.TABLES).map(([name, table]) => [table, repositories[name]])
+  );
+
+  if (repositories.backend === 'memory' && !config.data.file) {
+    throw new Error('Seeding the memory store requires DATA_FILE, otherwise nothing is kept');
+  }
+
+  for (const [table, rows] of Object.entries(fixtures)) {
+    for (const row of rows) {
+      await byTable[table].upsert(row, { onConflict: 'id' });
+    }
+  }
+
+  return repositories.backend;
+};
+
+const main = async () => {
+  if (config.isProduction) {
+    throw new Error('Refusing to seed sample data with NODE_ENV=production');
+  }
+
+  const fixtures = await buildFixtures();
+  const count = Object.values(fixtures).reduce((total, rows) => total + rows.length, 0);
+
+  if (config.database.url) {
+    const client = await connect();
+    try {
+      await seedDatabase(client, fixtures);
+    } finally {
+      await client.end();
+    }
+    console.log(`Seeded ${count} rows into Postgres`);
+  } else {
+    const backend = await seedRepositories(fixtures);
+    console.log(`Seeded ${count} rows into the ${backend} store`);
+  }
+};
+
+if (require.main === module) {
+  runCommand(main);
+}
+
+module.exports = {
+  seedDatabase,
+  seedRepositories
+};
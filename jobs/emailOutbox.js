@@ -0,0 +1,34 @@
+/**
+ * Email Outbox Job
+ * Periodically delivers pending emails and retries failed ones
+ */
+
+const cron = require('node-cron');
+const emailService = require('../services/emailService');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Every 30 seconds by default (EMAIL_QUEUE_CRON)
+const schedule = config.email.queueCron;
+
+let task = null;
+
+const startEmailOutboxJob = () => {
+  if (task) return task;
+
+  task = cron.schedule(schedule, () => emailService.processOutbox());
+  logger.info('Email outbox worker scheduled', { schedule });
+  return task;
+};
+
+const stopEmailOutboxJob = () => {
+  if (task) {
+    task.stop();
+    task = null;
+  }
+};
+
+module.exports = {
+  startEmailOutboxJob,
+  stopEmailOutboxJob
+};
@@ -0,0 +1,141 @@
+/**
+ * Audit Middleware
+ * Records every mutating API call in the audit log once its response is sent
+ * (see config/audit.js)
+ */
+
+const auditService = require('../services/auditService');
+const { matchPath } = require('./auth');
+const logger = require('../utils/logger');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Decode a path segment; null when it is not valid percent-encoding
+ */
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Route parameters of a path matched against a pattern such as /api/projects/:id;
+ * undecodable values are left out
+ */
+const pathParams = (pattern, path) => {
+  const pathParts = path.split('/').filter(Boolean);
+
+  return pattern.split('/').filter(Boolean).reduce((params, part, index) => {
+    const value = part.startsWith(':') ? decodeSegment(pathParts[index]) : null;
+    if (value !== null) params[part.slice(1)] = value;
+    return params;
+  }, {});
+};
+
+/**
+ * The user who made the call: the authenticated user, the user a login
+ * returned, or for anonymous calls (failed logins, the contact form) the
+ * email they sent
+ */
+const getActor = (req, responseBody) => {
+  if (req.user) {
+    return { actorId: req.user.id, actorEmail: req.user.email, actorRole: req.user.role };
+  }
+
+  const user = responseBody && responseBody.user;
+  if (user && user.id) {
+    return { actorId: user.id, actorEmail: user.email, actorRole: user.role };
+  }
+
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email : null;
+  return { actorId: null, actorEmail: email, actorRole: null };
+};
+
+/**
+ * Audit mutating requests using a route map ("METHOD /path" -> { action, entity, failureAction })
+ */
+const auditTrail = (routeMap) => {
+  const rules = Object.entries(routeMap).map(([route, options]) => {
+    const [method, pattern] = route.split(' ');
+    return { method, pattern, ...options };
+  });
+
+  // Literal segments win over parameters, as in enforcePermissions
+  const paramCount = ({ pattern }) => (pattern.match(/:/g) || []).length;
+  rules.sort((a, b) => paramCount(a) - paramCount(b));
+
+  return async (req, res, next) => {
+    if (!MUTATING_METHODS.includes(req.method)) return next();
+
+    const path = req.path;
+
+    // Express 4 ignores rejected middleware promises, so errors must reach next()
+    let rule;
+    let params;
+    let before;
+    try {
+      rule = rules.find(({ method, pattern }) => method === req.method && matchPath(pattern, path));
+      params = rule ? pathParams(rule.pattern, path) : {};
+      before = rule && rule.entity ? await auditService.loadEntity(rule.entity, params.id) : null;
+    } catch (error) {
+      return next(error);
+    }
+
+    // Keep the response body: creations return the new record's id, logins the user
+    let responseBody = null;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    const recordEntry = async () => {
+      const success = res.statusCode < 400;
+      const routePath = req.route ? `${req.baseUrl}${req.route.path}` : path;
+
+      let action = `${req.method} ${routePath}`;
+      if (rule) action = !success && rule.failureAction ? rule.failureAction : rule.action;
+
+      let entityId = params.id || null;
+      let changes = null;
+
+      if (rule && rule.entity) {
+        const data = responseBody && responseBody.data;
+        entityId = entityId || (data && data.id) || null;
+
+        if (success) {
+          const after = await auditService.loadEntity(rule.entity, entityId);
+          changes = auditService.diff(before, after);
+        }
+      }
+
+      await auditService.record({
+        action,
+        outcome: success ? 'success' : 'failure',
+        ...getActor(req, responseBody),
+        entityType: rule && rule.entity ? rule.entity : null,
+        entityId,
+        changes,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        requestId: req.id
+      });
+    };
+
+    res.on('finish', () => recordEntry().catch((error) => {
+      logger.error('Failed to audit request', { method: req.method, path: req.originalUrl, error });
+    }));
+
+    next();
+  };
+};
+
+module.exports = {
+  auditTrail
+};
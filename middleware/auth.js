@@ -0,0 +1,131 @@
+/**
+ * Auth Middleware
+ * Verifies bearer tokens and enforces role-based access to routes
+ */
+
+const authService = require('../services/authService');
+const { PUBLIC } = require('../config/permissions');
+
+/**
+ * Extract the bearer token from the Authorization header
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+const sendUnauthorized = (res, message = 'Authentication required') => {
+  res.status(401).json({
+    error: message,
+    code: 'AUTH_ERROR'
+  });
+};
+
+const sendForbidden = (res) => {
+  res.status(403).json({
+    error: 'Insufficient permissions',
+    code: 'FORBIDDEN'
+  });
+};
+
+/**
+ * Require a valid access token; sets req.user to the token payload
+ */
+const authenticate = (req, res, next) => {
+  if (req.user) return next();
+
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return sendUnauthorized(res);
+  }
+
+  try {
+    const payload = authService.verifyAccessToken(token);
+    req.user = {
+      id: payload.sub,
+      email: payload.email,
+      role: payload.role,
+      name: payload.name,
+      clientId: payload.client_id || null
+    };
+    next();
+  } catch (error) {
+    sendUnauthorized(res, error.message);
+  }
+};
+
+/**
+ * Require an authenticated user with one of the given roles
+ */
+const authorize = (...roles) => {
+  const allowed = roles.flat();
+
+  return (req, res, next) => {
+    authenticate(req, res, () => {
+      if (!allowed.includes(req.user.role)) {
+        return sendForbidden(res);
+      }
+      next();
+    });
+  };
+};
+
+/**
+ * Check whether a request path matches a route pattern such as /api/projects/:id;
+ * case-insensitive, as Express routing is
+ */
+const matchPath = (pattern, path) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = path.split('/').filter(Boolean);
+
+  if (patternParts.length !== pathParts.length) return false;
+
+  return patternParts.every((part, index) => (
+    part.startsWith(':') || part.toLowerCase() === pathParts[index].toLowerCase()
+  ));
+};
+
+// Express answers HEAD requests with the GET handler
+const routeMethod = method => (method === 'HEAD' ? 'GET' : method);
+
+const isUnderPrefix = (path, prefix) => {
+  const lowerPath = path.toLowerCase();
+  return lowerPath === prefix || lowerPath.startsWith(`${prefix}/`);
+};
+
+/**
+ * Enforce a permission map ("METHOD /path" -> roles, or PUBLIC) for every
+ * matching request; requests under the prefix that no entry matches are denied
+ */
+const enforcePermissions = (permissionMap, { prefix = '/api' } = {}) => {
+  const rules = Object.entries(permissionMap).map(([route, roles]) => {
+    const [method, pattern] = route.split(' ');
+    return { method, pattern, guard: roles === PUBLIC ? (req, res, next) => next() : authorize(roles) };
+  });
+
+  // Unlisted routes: 401 without a token, 403 with one
+  const deny = (req, res) => authenticate(req, res, () => sendForbidden(res));
+
+  // Literal segments win over parameters, so /api/messages/stats is checked before /api/messages/:id
+  const paramCount = ({ pattern }) => (pattern.match(/:/g) || []).length;
+  rules.sort((a, b) => paramCount(a) - paramCount(b));
+
+  return (req, res, next) => {
+    const requestMethod = routeMethod(req.method);
+    const rule = rules.find(({ method, pattern }) => method === requestMethod && matchPath(pattern, req.path));
+
+    if (!rule) return isUnderPrefix(req.path, prefix) ? deny(req, res) : next();
+
+    rule.guard(req, res, next);
+  };
+};
+
+module.exports = {
+  getBearerToken,
+  matchPath,
+  authenticate,
+  authorize,
+  enforcePermissions
+};
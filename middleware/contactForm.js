@@ -0,0 +1,37 @@
+/**
+ * Contact Form Limits
+ * Stricter rate limits for the public POST /api/messages, per IP and per sender email
+ */
+
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+
+const limitOptions = (max, error) => ({
+  windowMs: config.contact.windowMs,
+  max,
+  message: {
+    error,
+    code: 'RATE_LIMIT_EXCEEDED',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const contactIpLimiter = rateLimit(limitOptions(
+  config.contact.maxPerIp,
+  'Too many messages from this IP, please try again later.'
+));
+
+// Runs after validation so the key is the normalized email
+const contactEmailLimiter = rateLimit({
+  ...limitOptions(
+    config.contact.maxPerEmail,
+    'Too many messages from this email address, please try again later.'
+  ),
+  keyGenerator: req => `email:${req.body.email}`
+});
+
+module.exports = {
+  contactIpLimiter,
+  contactEmailLimiter
+};
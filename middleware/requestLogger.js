@@ -0,0 +1,60 @@
+/**
+ * Request Logging
+ * Assigns each request a correlation id (X-Request-Id) and logs it when the response finishes
+ */
+
+const { AsyncResource } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { runWithRequestId } = require('../utils/logger');
+
+// Ids sent by a proxy or the frontend are kept when they look sane
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * Set req.id and the X-Request-Id response header; the rest of the request
+ * runs with the id attached to its log lines
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+
+  runWithRequestId(req.id, next);
+};
+
+/**
+ * Wrap a body-parsing middleware so the request id survives it; parsers call
+ * next from stream events, which run outside the request's async context
+ */
+const keepRequestContext = middleware => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+
+/**
+ * One line per request with status and duration; 5xx are errors, 4xx warnings
+ */
+const logRequests = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+
+    logger.log(level, 'HTTP request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Number((process.hrtime.bigint() - start) / 1000000n),
+      ip: req.ip,
+      userId: req.user ? req.user.id : null,
+      userAgent: req.get('User-Agent')
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  requestId,
+  keepRequestContext,
+  logRequests
+};
@@ -0,0 +1,68 @@
+/**
+ * Upload Middleware
+ * Parses multipart/form-data file uploads with size, count and MIME-type limits
+ */
+
+const multer = require('multer');
+const attachmentService = require('../services/attachmentService');
+const { MAX_FILE_SIZE, MAX_FILES } = require('../services/attachmentService');
+const { keepRequestContext } = require('./requestLogger');
+const { ApiError, ValidationError } = require('../utils/errors');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!attachmentService.isAllowedType(file.mimetype)) {
+      return cb(new ValidationError('Validation failed', [
+        { field: file.fieldname, message: `File type ${file.mimetype} is not allowed` }
+      ]));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Turn multer limit errors into API errors
+ */
+const toApiError = (error) => {
+  if (!(error instanceof multer.MulterError)) return error;
+
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return new ApiError(`Files must be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB`, 413, 'PAYLOAD_TOO_LARGE');
+  }
+
+  if (error.code === 'LIMIT_FILE_COUNT') {
+    return new ValidationError('Validation failed', [
+      { field: error.field || 'files', message: `At most ${MAX_FILES} files are allowed` }
+    ]);
+  }
+
+  return new ValidationError('Validation failed', [
+    { field: error.field || 'files', message: error.message }
+  ]);
+};
+
+/**
+ * Accept up to MAX_FILES files in the given form field; sets req.files
+ * Requests that are not multipart pass through with req.files empty
+ */
+const uploadFiles = (field) => {
+  const parse = keepRequestContext(upload.array(field, MAX_FILES));
+
+  return (req, res, next) => {
+    parse(req, res, (error) => {
+      if (error) return next(toApiError(error));
+
+      req.files = req.files || [];
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadFiles
+};
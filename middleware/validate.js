@@ -0,0 +1,51 @@
+/**
+ * Validation Middleware
+ * Validates request params, query and body against zod schemas
+ */
+
+const { ValidationError } = require('../utils/errors');
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Turn zod issues into { field, message } entries; unknown keys get one entry each
+ */
+const formatIssues = (issues, part) => issues.flatMap((issue) => {
+  if (issue.code === 'unrecognized_keys') {
+    return issue.keys.map(key => ({ field: key, message: 'Unknown field' }));
+  }
+
+  return [{
+    field: issue.path.length ? issue.path.join('.') : part,
+    message: issue.message
+  }];
+});
+
+/**
+ * Validate the request against { params, query, body } schemas; parsed values
+ * (trimmed, coerced, defaulted) replace the originals on req
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  REQUEST_PARTS.forEach((part) => {
+    if (!schemas[part]) return;
+
+    const result = schemas[part].safeParse(req[part] || {});
+    if (result.success) {
+      req[part] = result.data;
+    } else {
+      errors.push(...formatIssues(result.error.issues, part));
+    }
+  });
+
+  if (errors.length) {
+    return next(new ValidationError('Validation failed', errors));
+  }
+
+  next();
+};
+
+module.exports = {
+  validate
+};
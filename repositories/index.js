@@ -0,0 +1,75 @@
+/**
+ * Repositories
+ * Data access for every table, backed by Supabase or by the memory store
+ * (DATA_STORE). Both backends take the same query descriptions:
+ *
+ *   where:  { column: value | null | { in, neq, gt, gte, lt, lte, ilike, contains } }
+ *   search: { term, columns } - case-insensitive substring on any column
+ *   order:  { column, ascending } or a list of them
+ *   limit, offset
+ */
+
+const path = require('path');
+const createSupabaseRepository = require('./supabaseRepository');
+const createMemoryRepository = require('./memoryRepository');
+const { createMemoryStore } = require('./memoryRepository');
+const config = require('../config');
+const { supabase, isSupabaseConfigured } = require('../config/supabase');
+const logger = require('../utils/logger');
+
+const DATA_STORES = ['supabase', 'memory'];
+
+// Repository name -> table
+const TABLES = {
+  messages: 'messages',
+  messageReplies: 'message_replies',
+  clients: 'clients',
+  clientDocuments: 'client_documents',
+  projects: 'projects',
+  projectUpdates: 'project_updates',
+  users: 'users',
+  refreshTokens: 'refresh_tokens',
+  emailNotifications: 'email_notifications',
+  notifications: 'notifications',
+  notificationPreferences: 'notification_preferences',
+  conversationMessages: 'conversation_messages',
+  attachments: 'attachments',
+  auditLogs: 'audit_logs'
+};
+
+/**
+ * Build one repository per table for the chosen store. Without DATA_STORE,
+ * Supabase is used when configured and the memory store otherwise;
+ * DATA_FILE makes the memory store persist to a JSON file.
+ */
+const createRepositories = ({ store, file: dataFile } = config.data) => {
+  const backend = store || (isSupabaseConfigured ? 'supabase' : 'memory');
+
+  if (!DATA_STORES.includes(backend)) {
+    throw new Error(`Unknown data store: ${backend}. Use one of: ${DATA_STORES.join(', ')}`);
+  }
+  if (backend === 'supabase' && !isSupabaseConfigured) {
+    throw new Error('DATA_STORE=supabase requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  let createRepository;
+  if (backend === 'supabase') {
+    createRepository = table => createSupabaseRepository(supabase, table);
+  } else {
+    const file = dataFile ? path.resolve(dataFile) : null;
+    const store = createMemoryStore({ file });
+    createRepository = table => createMemoryRepository(store, table);
+
+    logger.info('Using the memory data store', { file });
+  }
+
+  return Object.entries(TABLES).reduce((repositories, [name, table]) => {
+    repositories[name] = createRepository(table);
+    return repositories;
+  }, { backend });
+};
+
+module.exports = createRepositories();
+module.exports.DATA_STORES = DATA_STORES;
+module.exports.TABLES = TABLES;
+module.exports.createRepositories = createRepositories;
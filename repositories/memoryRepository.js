@@ -0,0 +1,189 @@
+/**
+ * Memory Repository
+ * Tables kept in process memory, optionally saved to a JSON file so data
+ * survives restarts. Supports the same query descriptions as Supabase.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const isOperators = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEmpty = value => value === null || value === undefined;
+
+/**
+ * SQL LIKE pattern (% and _ wildcards) as a case-insensitive regular expression
+ */
+const likePattern = pattern => new RegExp(`^${String(pattern)
+  .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  .replace(/%/g, '.*')
+  .replace(/_/g, '.')}$`, 'is');
+
+const matchesOperator = (value, operator, expected) => {
+  switch (operator) {
+    case 'in':
+      return expected.includes(value);
+    case 'neq':
+      return expected === null ? !isEmpty(value) : value !== expected;
+    case 'gt':
+      return !isEmpty(value) && value > expected;
+    case 'gte':
+      return !isEmpty(value) && value >= expected;
+    case 'lt':
+      return !isEmpty(value) && value < expected;
+    case 'lte':
+      return !isEmpty(value) && value <= expected;
+    case 'ilike':
+      return !isEmpty(value) && likePattern(expected).test(String(value));
+    case 'contains':
+      return Array.isArray(value) && expected.every(item => value.includes(item));
+    default:
+      throw new Error(`Unknown filter operator: ${operator}`);
+  }
+};
+
+const matchesWhere = (row, where = {}) => Object.entries(where).every(([column, condition]) => {
+  if (condition === null) return isEmpty(row[column]);
+  if (!isOperators(condition)) return row[column] === condition;
+
+  return Object.entries(condition).every(([operator, expected]) => matchesOperator(row[column], operator, expected));
+});
+
+const matchesSearch = (row, search) => {
+  if (!search || !search.term) return true;
+
+  const term = search.term.toLowerCase();
+  return search.columns.some(column => !isEmpty(row[column]) && String(row[column]).toLowerCase().includes(term));
+};
+
+// Postgres order: nulls last when ascending, first when descending
+const compareValues = (a, b) => {
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) - isEmpty(b);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+const sortRows = (rows, order) => {
+  const keys = [].concat(order || []);
+  if (!keys.length) return rows;
+
+  return rows.sort((a, b) => {
+    for (const { column, ascending = true } of keys) {
+      const result = compareValues(a[column], b[column]);
+      if (result) return ascending ? result : -result;
+    }
+    return 0;
+  });
+};
+
+const copy = value => structuredClone(value);
+
+/**
+ * Tables by name; with a file, data is loaded from it and every change is written back
+ */
+const createMemoryStore = ({ file = null, initialData = {} } = {}) => {
+  let tables = copy(initialData);
+
+  if (file && fs.existsSync(file)) {
+    tables = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  let pendingWrite = Promise.resolve();
+
+  return {
+    table(name) {
+      if (!tables[name]) tables[name] = [];
+      return tables[name];
+    },
+
+    // Writes are serialized and atomic (temporary file, then rename)
+    persist() {
+      if (!file) return Promise.resolve();
+
+      const snapshot = JSON.stringify(tables, null, 2);
+      pendingWrite = pendingWrite.then(async () => {
+        const temporary = `${file}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(temporary, snapshot, 'utf8');
+        await fs.promises.rename(temporary, file);
+      });
+      return pendingWrite;
+    }
+  };
+};
+
+const createMemoryRepository = (store, table) => {
+  const rows = () => store.table(table);
+
+  const select = ({ where, search, order } = {}) => sortRows(
+    rows().filter(row => matchesWhere(row, where) && matchesSearch(row, search)),
+    order
+  );
+
+  const page = (matching, { limit, offset = 0 }) => (
+    limit === undefined ? matching.slice(offset) : matching.slice(offset, offset + limit)
+  );
+
+  return {
+    table,
+
+    async find(query = {}) {
+      return copy(page(select(query), query));
+    },
+
+    async findPage(query = {}) {
+      const matching = select(query);
+      return { rows: copy(page(matching, query)), total: matching.length };
+    },
+
+    async findOne(where) {
+      const row = rows().find(item => matchesWhere(item, where));
+      return row ? copy(row) : null;
+    },
+
+    async count(where) {
+      return rows().filter(row => matchesWhere(row, where)).length;
+    },
+
+    async insert(row) {
+      const saved = copy({ id: uuidv4(), ...row });
+      rows().push(saved);
+      await store.persist();
+      return copy(saved);
+    },
+
+    async upsert(row, { onConflict = 'id' } = {}) {
+      const existing = rows().find(item => item[onConflict] === row[onConflict]);
+      if (!existing) return this.insert(row);
+
+      Object.assign(existing, copy(row));
+      await store.persist();
+      return copy(existing);
+    },
+
+    async update(where, changes) {
+      const matching = rows().filter(row => matchesWhere(row, where));
+      matching.forEach(row => Object.assign(row, copy(changes)));
+      if (matching.length) await store.persist();
+      return copy(matching);
+    },
+
+    async updateOne(where, changes) {
+      const [updated] = await this.update(where, changes);
+      return updated || null;
+    },
+
+    async remove(where) {
+      const current = rows();
+      const kept = current.filter(row => !matchesWhere(row, where));
+      if (kept.length === current.length) return;
+
+      current.splice(0, current.length, ...kept);
+      await store.persist();
+    }
+  };
+};
+
+module.exports = createMemoryRepository;
+module.exports.createMemoryStore = createMemoryStore;
@@ -0,0 +1,123 @@
+/**
+ * Supabase Repository
+ * Table access through the Supabase client; queries are described the same
+ * way as for the memory repository (see repositories/index.js)
+ */
+
+const isOperators = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Apply a where object: { column: value | null | { in, neq, gt, gte, lt, lte, ilike, contains } }
+ */
+const applyWhere = (query, where = {}) => Object.entries(where).reduce((current, [column, condition]) => {
+  if (condition === null) return current.is(column, null);
+  if (!isOperators(condition)) return current.eq(column, condition);
+
+  return Object.entries(condition).reduce((filtered, [operator, value]) => {
+    switch (operator) {
+      case 'in':
+        return filtered.in(column, value);
+      case 'neq':
+        return value === null ? filtered.not(column, 'is', null) : filtered.neq(column, value);
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte':
+      case 'ilike':
+      case 'contains':
+        return filtered[operator](column, value);
+      default:
+        throw new Error(`Unknown filter operator: ${operator}`);
+    }
+  }, current);
+}, query);
+
+/**
+ * Case-insensitive substring match of a term on any of the columns
+ */
+const applySearch = (query, search) => {
+  if (!search || !search.term) return query;
+
+  // Characters with a meaning in PostgREST filter strings
+  const term = search.term.replace(/[,()%]/g, ' ');
+  return query.or(search.columns.map(column => `${column}.ilike.%${term}%`).join(','));
+};
+
+const applyOrder = (query, order) => [].concat(order || []).reduce(
+  (current, { column, ascending = true }) => current.order(column, { ascending }),
+  query
+);
+
+const applyRange = (query, { limit, offset = 0 }) => (
+  limit === undefined ? query : query.range(offset, offset + limit - 1)
+);
+
+const createSupabaseRepository = (supabase, table) => {
+  const select = (options) => supabase.from(table).select('*', options);
+
+  return {
+    table,
+
+    async find({ where, search, order, limit, offset } = {}) {
+      const query = applyRange(applyOrder(applySearch(applyWhere(select(), where), search), order), { limit, offset });
+      const { data, error } = await query;
+      if (error) throw error;
+      return data;
+    },
+
+    async findPage({ where, search, order, limit, offset } = {}) {
+      const query = applyRange(
+        applyOrder(applySearch(applyWhere(select({ count: 'exact' }), where), search), order),
+        { limit, offset }
+      );
+      const { data, error, count } = await query;
+      if (error) throw error;
+      return { rows: data, total: count };
+    },
+
+    async findOne(where) {
+      const { data, error } = await applyWhere(select(), where).limit(1).maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async count(where) {
+      const { count, error } = await applyWhere(
+        supabase.from(table).select('*', { count: 'exact', head: true }),
+        where
+      );
+      if (error) throw error;
+      return count;
+    },
+
+    async insert(row) {
+      const { data, error } = await supabase.from(table).insert(row).select().single();
+      if (error) throw error;
+      return data;
+    },
+
+    async upsert(row, { onConflict = 'id' } = {}) {
+      const { data, error } = await supabase.from(table).upsert(row, { onConflict }).select().single();
+      if (error) throw error;
+      return data;
+    },
+
+    async update(where, changes) {
+      const { data, error } = await applyWhere(supabase.from(table).update(changes), where).select();
+      if (error) throw error;
+      return data;
+    },
+
+    async updateOne(where, changes) {
+      const rows = await this.update(where, changes);
+      return rows[0] || null;
+    },
+
+    async remove(where) {
+      const { error } = await applyWhere(supabase.from(table).delete(), where);
+      if (error) throw error;
+    }
+  };
+};
+
+module.exports = createSupabaseRepository;
@@ -0,0 +1,57 @@
+/**
+ * Analytics Routes
+ * Sales reports for the admin dashboard; every report takes ?from=&to=
+ * (defaults to the last 30 days)
+ */
+
+const express = require('express');
+const analyticsService = require('../services/analyticsService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/analytics');
+
+const router = express.Router();
+
+// Report handler: run the report for the validated query and wrap the result
+const report = run => async (req, res, next) => {
+  try {
+    const data = await run(req.query);
+
+    res.json({
+      data,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// All reports at once; leads are grouped by week unless ?interval= says otherwise
+router.get('/', validate({ query: schemas.overviewQuery }), report(
+  ({ interval, ...range }) => analyticsService.getOverview(range, interval)
+));
+
+router.get('/leads', validate({ query: schemas.leadsQuery }), report(
+  ({ interval, ...range }) => analyticsService.getLeadsOverTime(range, interval)
+));
+
+router.get('/conversion', validate({ query: schemas.rangeQuery }), report(
+  range => analyticsService.getConversion(range)
+));
+
+router.get('/response-time', validate({ query: schemas.rangeQuery }), report(
+  range => analyticsService.getResponseTimes(range)
+));
+
+router.get('/messages/status', validate({ query: schemas.rangeQuery }), report(
+  range => analyticsService.getMessageStatusBreakdown(range)
+));
+
+router.get('/projects/status', validate({ query: schemas.rangeQuery }), report(
+  range => analyticsService.getProjectStatusBreakdown(range)
+));
+
+router.get('/pipeline', validate({ query: schemas.rangeQuery }), report(
+  range => analyticsService.getRevenuePipeline(range)
+));
+
+module.exports = router;
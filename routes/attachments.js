@@ -0,0 +1,46 @@
+/**
+ * Attachment Routes
+ * Authenticated downloads of files attached to messages and projects
+ */
+
+const express = require('express');
+const attachmentService = require('../services/attachmentService');
+const projectService = require('../services/projectService');
+const { validate } = require('../middleware/validate');
+const { idParams } = require('../schemas/common');
+const { NotFoundError } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * Staff may download any attachment; clients only those of their own projects.
+ * Files a client may not see are reported as missing
+ */
+const checkAccess = async (user, attachment) => {
+  if (user.role !== 'client') return;
+
+  if (attachment.entity_type === 'project' && user.clientId) {
+    const project = await projectService.getProject(attachment.entity_id);
+    if (project.client_id === user.clientId) return;
+  }
+
+  throw new NotFoundError('Attachment not found');
+};
+
+router.get('/:id/download', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    await checkAccess(req.user, await attachmentService.getAttachment(req.params.id));
+    const { attachment, content } = await attachmentService.readAttachment(req.params.id);
+
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Length': content.length,
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.name)}`
+    });
+    res.send(content);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
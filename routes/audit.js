@@ -0,0 +1,43 @@
+/**
+ * Audit Routes
+ * The audit trail of mutating API calls, for admins
+ */
+
+const express = require('express');
+const auditService = require('../services/auditService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/audit');
+
+const router = express.Router();
+
+router.get('/', validate({ query: schemas.listAuditQuery }), async (req, res, next) => {
+  try {
+    const { page, limit, action, outcome, from, to } = req.query;
+    const { entries, total } = await auditService.listEntries({
+      actorId: req.query.actor_id,
+      entityType: req.query.entity_type,
+      entityId: req.query.entity_id,
+      action,
+      outcome,
+      from,
+      to,
+      page,
+      limit
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      },
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
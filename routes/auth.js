@@ -0,0 +1,77 @@
+/**
+ * Auth Routes
+ * Login, token refresh, logout and current user
+ */
+
+const express = require('express');
+const authService = require('../services/authService');
+const { AuthError } = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+
+const router = express.Router();
+
+router.post('/login', validate({ body: schemas.login }), async (req, res, next) => {
+  const { email, password } = req.body;
+
+  try {
+    const { user, token, refreshToken, expiresIn } = await authService.login(email, password);
+
+    res.json({
+      success: true,
+      user,
+      token,
+      refreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/refresh', validate({ body: schemas.refresh }), async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const { user, token, refreshToken: newRefreshToken, expiresIn } = await authService.refresh(refreshToken);
+
+    res.json({
+      success: true,
+      user,
+      token,
+      refreshToken: newRefreshToken,
+      expiresIn
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/logout', validate({ body: schemas.logout }), async (req, res, next) => {
+  try {
+    await authService.logout(req.body.refreshToken);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/me', authenticate, async (req, res, next) => {
+  try {
+    const user = await authService.findUserById(req.user.id);
+
+    if (!user) {
+      throw new AuthError('User no longer exists');
+    }
+
+    res.json({
+      success: true,
+      user: authService.toPublicUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
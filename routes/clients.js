@@ -0,0 +1,186 @@
+/**
+ * Client Routes
+ * Client management and contact history
+ */
+
+const express = require('express');
+const clientService = require('../services/clientService');
+const authService = require('../services/authService');
+const documentService = require('../services/documentService');
+const conversationService = require('../services/conversationService');
+const projectService = require('../services/projectService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/clients');
+const portalSchemas = require('../schemas/portal');
+const { idParams } = require('../schemas/common');
+const { NotFoundError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.get('/', validate({ query: schemas.listClientsQuery }), async (req, res, next) => {
+  try {
+    const clients = await clientService.listClients({
+      status: req.query.status,
+      search: req.query.search
+    });
+
+    res.json({
+      clients,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', validate({ body: schemas.createClient }), async (req, res, next) => {
+  try {
+    const client = await clientService.createClient(req.body, {
+      sendWelcome: req.body.sendWelcome !== false
+    });
+
+    res.status(201).json({
+      message: 'Client created successfully',
+      data: client
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const client = await clientService.getClientDetail(req.params.id);
+
+    res.json({
+      data: client,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/:id', validate({ params: idParams, body: schemas.updateClient }), async (req, res, next) => {
+  try {
+    const client = await clientService.updateClient(req.params.id, req.body);
+
+    res.json({
+      message: 'Client updated successfully',
+      data: client
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/archive', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const client = await clientService.archiveClient(req.params.id);
+
+    res.json({
+      message: 'Client archived successfully',
+      data: client
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/portal-access', validate({ params: idParams, body: schemas.grantPortalAccess }), async (req, res, next) => {
+  try {
+    const client = await clientService.getClient(req.params.id);
+
+    const user = await authService.createUser({
+      email: client.email,
+      name: client.name,
+      password: req.body.password,
+      role: 'client',
+      clientId: client.id
+    });
+
+    res.status(201).json({
+      message: 'Portal access granted successfully',
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id/documents', validate({ params: idParams, query: portalSchemas.listDocumentsQuery }), async (req, res, next) => {
+  try {
+    const client = await clientService.getClient(req.params.id);
+    const documents = await documentService.listDocuments(client.id, { type: req.query.type });
+
+    res.json({
+      documents,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/documents', validate({ params: idParams, body: schemas.createDocument }), async (req, res, next) => {
+  try {
+    const client = await clientService.getClient(req.params.id);
+
+    if (req.body.project_id) {
+      const project = await projectService.getProject(req.body.project_id);
+      if (project.client_id !== client.id) throw new NotFoundError('Project not found');
+    }
+
+    const document = await documentService.addDocument(client.id, req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Document added successfully',
+      data: document
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id/conversation', validate({ params: idParams, query: portalSchemas.conversationQuery }), async (req, res, next) => {
+  try {
+    const client = await clientService.getClient(req.params.id);
+    const messages = await conversationService.listConversation(client.id, { projectId: req.query.project_id });
+
+    res.json({
+      messages,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/conversation', validate({ params: idParams, body: portalSchemas.postConversationMessage }), async (req, res, next) => {
+  try {
+    const client = await clientService.getClient(req.params.id);
+    const projectId = req.body.project_id || null;
+
+    // The project decides the room the message is delivered to, so it must be this client's
+    if (projectId) {
+      const project = await projectService.getProject(projectId);
+      if (project.client_id !== client.id) throw new NotFoundError('Project not found');
+    }
+
+    const message = await conversationService.postMessage({
+      clientId: client.id,
+      projectId,
+      author: req.user,
+      body: req.body.body
+    });
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
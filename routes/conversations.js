@@ -0,0 +1,24 @@
+/**
+ * Conversation Routes
+ * Client portal messages addressed to the current team member
+ */
+
+const express = require('express');
+const conversationService = require('../services/conversationService');
+
+const router = express.Router();
+
+router.get('/', async (req, res, next) => {
+  try {
+    const messages = await conversationService.listForRecipient(req.user.id);
+
+    res.json({
+      messages,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Dev Routes
+ * Development helpers; only mounted outside production
+ */
+
+const express = require('express');
+const { getMailbox, clearMailbox } = require('../services/emailTransports/memoryTransport');
+
+const router = express.Router();
+
+// Emails captured by the memory transport (EMAIL_TRANSPORT=memory)
+router.get('/mailbox', (req, res) => {
+  res.json({
+    emails: getMailbox(),
+    status: 'OK'
+  });
+});
+
+router.delete('/mailbox', (req, res) => {
+  clearMailbox();
+  res.json({
+    message: 'Mailbox cleared'
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+/**
+ * Message Routes
+ * Public contact form and the team inbox
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const messageService = require('../services/messageService');
+const leadService = require('../services/leadService');
+const spamService = require('../services/spamService');
+const attachmentService = require('../services/attachmentService');
+const authService = require('../services/authService');
+const { validate } = require('../middleware/validate');
+const { contactIpLimiter, contactEmailLimiter } = require('../middleware/contactForm');
+const { uploadFiles } = require('../middleware/upload');
+const schemas = require('../schemas/messages');
+const { idParams } = require('../schemas/common');
+const config = require('../config');
+const { ApiError, ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+
+router.get('/', validate({ query: schemas.listMessagesQuery }), async (req, res, next) => {
+  try {
+    const { page, limit, status, from, to, search, sort, order } = req.query;
+    const assignedTo = req.query.assigned_to === 'me' ? req.user.id : req.query.assigned_to;
+
+    const { messages, total, source } = await messageService.listMessages({
+      page, limit, status, assignedTo, from, to, search, sort, order
+    });
+
+    res.json({
+      messages,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      },
+      status: 'OK',
+      message: source === 'supabase'
+        ? 'Messages fetched from Supabase successfully'
+        : 'Messages fetched from memory successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Identical submissions from the same sender within this window are rejected
+const DUPLICATE_WINDOW_MS = config.contact.duplicateWindowMs;
+
+// Accepts JSON, or multipart/form-data with files in the `attachments` field
+router.post('/', contactIpLimiter, uploadFiles('attachments'), validate({ body: schemas.createMessage }), contactEmailLimiter, async (req, res, next) => {
+  try {
+    const { name, email, message, website } = req.body;
+
+    const duplicate = await messageService.findDuplicate({
+      email,
+      message,
+      since: new Date(Date.now() - DUPLICATE_WINDOW_MS).toISOString()
+    });
+    if (duplicate) {
+      throw new ApiError('This message has already been sent', 409, 'DUPLICATE_MESSAGE');
+    }
+
+    // Flagged messages are stored as spam; the notification listeners skip them
+    const spam = spamService.scoreMessage({ name, email, message, honeypot: website });
+
+    // Files first: a failed upload then leaves no message behind, and the
+    // team alerts (message.created) go out with the attachments in place
+    const messageId = uuidv4();
+    const attachments = await attachmentService.addAttachments('message', messageId, req.files);
+
+    let created;
+    try {
+      created = await messageService.createMessage({ id: messageId, name, email, message, spam });
+    } catch (error) {
+      await attachmentService.deleteForEntity('message', messageId);
+      throw error;
+    }
+    const { message: savedMessage, source } = created;
+
+    // Same public fields for every submission so a flagged sender learns nothing from the response
+    const data = {
+      id: savedMessage.id,
+      name,
+      email,
+      message,
+      attachments: attachments.map(({ id, name: fileName, mime_type, size }) => ({ id, name: fileName, mime_type, size })),
+      created_at: savedMessage.created_at
+    };
+
+    // Team alerts are sent by the notification listeners (message.created)
+    if (source === 'supabase') {
+      return res.status(201).json({
+        message: 'Message sent successfully',
+        data
+      });
+    }
+
+    res.status(201).json({
+      message: 'Message sent successfully (stored in memory)',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/spam-stats', async (req, res, next) => {
+  try {
+    const stats = await messageService.getSpamStats();
+
+    res.json({
+      data: stats,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const message = await messageService.getMessage(req.params.id);
+    const replies = await messageService.listReplies(message.id);
+    const attachments = await attachmentService.listAttachments('message', message.id);
+
+    res.json({
+      data: { ...message, replies, attachments },
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/replies', validate({ params: idParams, body: schemas.createReply }), async (req, res, next) => {
+  try {
+    const { reply, message } = await messageService.replyToMessage(
+      req.params.id,
+      { body: req.body.body, subject: req.body.subject },
+      req.user
+    );
+
+    if (reply.email_status === 'failed') {
+      throw new ApiError('Reply saved but the email could not be queued', 502, 'EMAIL_SEND_FAILED', { reply });
+    }
+
+    res.status(201).json({
+      message: 'Reply sent successfully',
+      data: { reply, message }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/:id', validate({ params: idParams, body: schemas.updateMessage }), async (req, res, next) => {
+  try {
+    const { status, assigned_to: assignedTo, note } = req.body;
+
+    if (assignedTo) {
+      const assignee = await authService.findUserById(assignedTo);
+      if (!assignee || !['admin', 'team'].includes(assignee.role)) {
+        throw new ValidationError('Validation failed', [
+          { field: 'assigned_to', message: 'Assignee must be a team user' }
+        ]);
+      }
+    }
+
+    const message = await messageService.patchMessage(
+      req.params.id,
+      { status, assignedTo, note },
+      req.user.id
+    );
+
+    res.json({
+      message: 'Message updated successfully',
+      data: message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    await messageService.deleteMessage(req.params.id, req.user.id);
+
+    res.json({
+      message: 'Message deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/convert', validate({ params: idParams, body: schemas.convertMessage }), async (req, res, next) => {
+  try {
+    const result = await leadService.convertMessage(req.params.id, req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Message converted successfully',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+/**
+ * Notification Routes
+ * The current user's notification center and delivery preferences
+ */
+
+const express = require('express');
+const notificationService = require('../services/notificationService');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/notifications');
+const { idParams } = require('../schemas/common');
+
+const router = express.Router();
+
+router.get('/', validate({ query: schemas.listNotificationsQuery }), async (req, res, next) => {
+  try {
+    const { page, limit, unread: unreadOnly } = req.query;
+    const { notifications, total, unread } = await notificationService.listNotifications(req.user.id, {
+      unreadOnly, page, limit
+    });
+
+    res.json({
+      notifications,
+      unread,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      },
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/preferences', async (req, res, next) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.id);
+
+    res.json({
+      data: preferences,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/preferences', validate({ body: schemas.updatePreferences }), async (req, res, next) => {
+  try {
+    const preferences = await notificationService.updatePreferences(req.user.id, req.body);
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      data: preferences
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/read-all', async (req, res, next) => {
+  try {
+    const result = await notificationService.markAllRead(req.user.id);
+
+    res.json({
+      message: 'Notifications marked as read',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/read', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const notification = await notificationService.markRead(req.user.id, req.params.id);
+
+    res.json({
+      message: 'Notification marked as read',
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
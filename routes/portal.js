@@ -0,0 +1,150 @@
+/**
+ * Portal Routes
+ * Client-facing API; every query is scoped to the client id in the access token
+ */
+
+const express = require('express');
+const clientService = require('../services/clientService');
+const projectService = require('../services/projectService');
+const documentService = require('../services/documentService');
+const conversationService = require('../services/conversationService');
+const attachmentService = require('../services/attachmentService');
+const { authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/portal');
+const { idParams } = require('../schemas/common');
+const { ApiError, NotFoundError } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * Only client accounts linked to a client record may use the portal
+ */
+const requireClientAccount = (req, res, next) => {
+  if (req.user.role !== 'client' || !req.user.clientId) {
+    return next(new ApiError('Portal access requires a client account', 403, 'FORBIDDEN'));
+  }
+  next();
+};
+
+// Fields of internal records that a client may see
+const toPortalClient = client => ({
+  id: client.id,
+  name: client.name,
+  email: client.email,
+  company: client.company,
+  phone: client.phone,
+  created_at: client.created_at
+});
+
+const toPortalProject = project => projectService.toClientView(project);
+
+/**
+ * Load a project owned by the current client; other clients' projects are reported as missing
+ */
+const getOwnProject = async (req, projectId) => {
+  const project = await projectService.getProject(projectId);
+  if (project.client_id !== req.user.clientId) {
+    throw new NotFoundError('Project not found');
+  }
+  return project;
+};
+
+router.use(authorize('client'), requireClientAccount);
+
+router.get('/me', async (req, res, next) => {
+  try {
+    const client = await clientService.getClient(req.user.clientId);
+
+    res.json({
+      data: toPortalClient(client),
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/projects', async (req, res, next) => {
+  try {
+    const projects = await projectService.listProjects({ clientId: req.user.clientId });
+
+    res.json({
+      projects: projects.map(toPortalProject),
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/projects/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const project = await getOwnProject(req, req.params.id);
+    const updates = await projectService.listUpdates(project.id);
+    const attachments = await attachmentService.listAttachments('project', project.id);
+
+    res.json({
+      data: {
+        ...toPortalProject(project),
+        updates: updates.map(({ id, type, message, created_at }) => ({ id, type, message, created_at })),
+        attachments: attachments.map(({ uploaded_by, ...attachment }) => attachment)
+      },
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/documents', validate({ query: schemas.listDocumentsQuery }), async (req, res, next) => {
+  try {
+    const documents = await documentService.listDocuments(req.user.clientId, { type: req.query.type });
+
+    res.json({
+      documents,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/conversation', validate({ query: schemas.conversationQuery }), async (req, res, next) => {
+  try {
+    const projectId = req.query.project_id;
+    if (projectId) await getOwnProject(req, projectId);
+
+    const messages = await conversationService.listConversation(req.user.clientId, { projectId });
+
+    res.json({
+      messages: messages.map(({ recipient_ids, ...message }) => message),
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/conversation', validate({ body: schemas.postConversationMessage }), async (req, res, next) => {
+  try {
+    const projectId = req.body.project_id || null;
+    if (projectId) await getOwnProject(req, projectId);
+
+    const { recipient_ids, ...message } = await conversationService.postMessage({
+      clientId: req.user.clientId,
+      projectId,
+      author: req.user,
+      body: req.body.body
+    });
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,182 @@
+/**
+ * Project Routes
+ * CRUD, status workflow, update timeline and attachments for projects
+ */
+
+const express = require('express');
+const projectService = require('../services/projectService');
+const clientService = require('../services/clientService');
+const attachmentService = require('../services/attachmentService');
+const { validate } = require('../middleware/validate');
+const { uploadFiles } = require('../middleware/upload');
+const schemas = require('../schemas/projects');
+const { idParams } = require('../schemas/common');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const router = express.Router();
+
+/**
+ * Copy the linked client's name and email onto the project for notifications
+ */
+const withClientContact = async (body) => {
+  if (!body.client_id) return body;
+
+  const client = await clientService.getClient(body.client_id);
+  return { ...body, client_name: client.name, client_email: client.email };
+};
+
+router.get('/', validate({ query: schemas.listProjectsQuery }), async (req, res, next) => {
+  try {
+    const projects = await projectService.listProjects({
+      status: req.query.status,
+      clientId: req.query.client_id,
+      assignedTo: req.query.assigned_to === 'me' ? req.user.id : req.query.assigned_to
+    });
+
+    res.json({
+      projects,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', validate({ body: schemas.createProject }), async (req, res, next) => {
+  try {
+    const project = await projectService.createProject(await withClientContact(req.body), req.user.id);
+
+    res.status(201).json({
+      message: 'Project created successfully',
+      data: project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    const project = await projectService.getProject(req.params.id);
+    const updates = await projectService.listUpdates(project.id);
+    const attachments = await attachmentService.listAttachments('project', project.id);
+
+    res.json({
+      data: { ...project, updates, attachments },
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch('/:id', validate({ params: idParams, body: schemas.updateProject }), async (req, res, next) => {
+  try {
+    const { status, statusMessage, notifyClient } = req.body;
+    const current = await projectService.getProject(req.params.id);
+    const statusChanged = Boolean(status) && status !== current.status;
+
+    // Check the transition before saving anything, so a rejected request changes nothing
+    if (statusChanged) projectService.assertTransition(current.status, status);
+
+    let project = await projectService.updateProject(req.params.id, await withClientContact(req.body));
+
+    if (statusChanged) {
+      project = await projectService.changeStatus(req.params.id, status, {
+        authorId: req.user.id,
+        message: statusMessage,
+        notifyClient: Boolean(notifyClient)
+      });
+    }
+
+    res.json({
+      message: 'Project updated successfully',
+      data: project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    await projectService.deleteProject(req.params.id);
+
+    res.json({
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id/updates', validate({ params: idParams }), async (req, res, next) => {
+  try {
+    await projectService.getProject(req.params.id);
+    const updates = await projectService.listUpdates(req.params.id);
+
+    res.json({
+      updates,
+      status: 'OK'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/updates', validate({ params: idParams, body: schemas.addUpdate }), async (req, res, next) => {
+  try {
+    const { message, notifyClient } = req.body;
+
+    const update = await projectService.addUpdate(req.params.id, {
+      message,
+      authorId: req.user.id,
+      notifyClient: Boolean(notifyClient)
+    });
+
+    res.status(201).json({
+      message: 'Project update added successfully',
+      data: update
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/attachments', validate({ params: idParams }), uploadFiles('files'), async (req, res, next) => {
+  try {
+    await projectService.getProject(req.params.id);
+
+    if (!req.files.length) {
+      throw new ValidationError('Validation failed', [{ field: 'files', message: 'At least one file is required' }]);
+    }
+
+    const attachments = await attachmentService.addAttachments('project', req.params.id, req.files, req.user.id);
+
+    res.status(201).json({
+      message: 'Attachments uploaded successfully',
+      data: attachments
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:id/attachments/:attachmentId', validate({ params: schemas.attachmentParams }), async (req, res, next) => {
+  try {
+    const attachment = await attachmentService.getAttachment(req.params.attachmentId);
+    if (attachment.entity_type !== 'project' || attachment.entity_id !== req.params.id) {
+      throw new NotFoundError('Attachment not found');
+    }
+
+    await attachmentService.deleteAttachment(attachment.id);
+
+    res.json({
+      message: 'Attachment deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
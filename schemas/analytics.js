@@ -0,0 +1,35 @@
+/**
+ * Analytics Schemas
+ */
+
+const { z } = require('zod');
+const { fromDate, toDate } = require('./common');
+const { INTERVALS } = require('../services/analyticsService');
+
+const rangeShape = {
+  from: fromDate.optional(),
+  to: toDate.optional()
+};
+
+const checkRange = schema => schema.refine(
+  ({ from, to }) => !from || !to || from <= to,
+  { message: 'Must not be after to', path: ['from'] }
+);
+
+const rangeQuery = checkRange(z.object(rangeShape));
+
+const leadsQuery = checkRange(z.object({
+  ...rangeShape,
+  interval: z.enum(INTERVALS).default('day')
+}));
+
+const overviewQuery = checkRange(z.object({
+  ...rangeShape,
+  interval: z.enum(INTERVALS).default('week')
+}));
+
+module.exports = {
+  rangeQuery,
+  leadsQuery,
+  overviewQuery
+};
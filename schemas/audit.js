@@ -0,0 +1,24 @@
+/**
+ * Audit Schemas
+ */
+
+const { z } = require('zod');
+const { id, optionalText, fromDate, toDate } = require('./common');
+const { AUDIT_OUTCOMES, ENTITY_TYPES } = require('../services/auditService');
+
+const listAuditQuery = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  actor_id: id.optional(),
+  // A trailing dot matches every action of an entity, e.g. message.
+  action: optionalText(100).optional(),
+  entity_type: z.enum(ENTITY_TYPES).optional(),
+  entity_id: id.optional(),
+  outcome: z.enum(AUDIT_OUTCOMES).optional(),
+  from: fromDate.optional(),
+  to: toDate.optional()
+});
+
+module.exports = {
+  listAuditQuery
+};
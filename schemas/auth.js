@@ -0,0 +1,25 @@
+/**
+ * Auth Schemas
+ */
+
+const { z } = require('zod');
+const { email, requiredText } = require('./common');
+
+const login = z.object({
+  email,
+  password: z.string().min(1, 'Required').max(200)
+}).strict();
+
+const refresh = z.object({
+  refreshToken: requiredText(2000)
+}).strict();
+
+const logout = z.object({
+  refreshToken: z.string().max(2000).optional()
+}).strict();
+
+module.exports = {
+  login,
+  refresh,
+  logout
+};
@@ -0,0 +1,54 @@
+/**
+ * Client Schemas
+ */
+
+const { z } = require('zod');
+const { email, requiredText, optionalText, id, isoDate } = require('./common');
+const { DOCUMENT_TYPES } = require('../services/documentService');
+
+const clientFields = {
+  name: requiredText(200),
+  email,
+  company: optionalText(200).nullable(),
+  phone: optionalText(50).nullable(),
+  notes: optionalText(5000).nullable()
+};
+
+const createClient = z.object({
+  ...clientFields,
+  company: clientFields.company.optional(),
+  phone: clientFields.phone.optional(),
+  notes: clientFields.notes.optional(),
+  sendWelcome: z.boolean().optional()
+}).strict();
+
+const updateClient = z.object(clientFields).partial().strict();
+
+const listClientsQuery = z.object({
+  status: z.enum(['active', 'archived']).optional(),
+  search: optionalText(200).optional()
+});
+
+// Login for the client portal, created by the team
+const grantPortalAccess = z.object({
+  password: z.string().min(8, 'Must be at least 8 characters').max(200)
+}).strict();
+
+const createDocument = z.object({
+  type: z.enum(DOCUMENT_TYPES),
+  name: requiredText(200),
+  url: z.string().trim().url('Must be a valid URL').max(2000),
+  project_id: id.optional(),
+  amount: z.number().nonnegative().optional(),
+  currency: z.string().trim().length(3).toUpperCase().optional(),
+  due_date: isoDate.optional(),
+  status: z.enum(['unpaid', 'paid', 'void']).optional()
+}).strict();
+
+module.exports = {
+  createClient,
+  updateClient,
+  listClientsQuery,
+  grantPortalAccess,
+  createDocument
+};
@@ -0,0 +1,45 @@
+/**
+ * Common Schemas
+ * Field definitions shared by the per-route schemas
+ */
+
+const { z } = require('zod');
+
+const email = z.string().trim().toLowerCase().max(254).email('Must be a valid email');
+
+const requiredText = (max) => z.string().trim().min(1, 'Required').max(max, `Must be at most ${max} characters`);
+
+const optionalText = (max) => z.string().trim().max(max, `Must be at most ${max} characters`);
+
+// Every id column is a uuid; anything else would fail the cast in Postgres
+const id = z.string().trim().uuid('Must be a valid id');
+
+// Route parameters of /:id routes
+const idParams = z.object({ id });
+
+// Assignee filter: a user id, or 'me' for the current user
+const assigneeFilter = z.union([z.literal('me'), id]);
+
+const isoDate = z.string().refine(value => !Number.isNaN(Date.parse(value)), 'Must be a valid date');
+
+// Lower bound of a date range filter, as an ISO timestamp
+const fromDate = isoDate.transform(value => new Date(value).toISOString());
+
+// Upper bound of a date range filter; a date without a time covers that whole day
+const toDate = isoDate.transform((value) => {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date.toISOString();
+});
+
+module.exports = {
+  email,
+  requiredText,
+  optionalText,
+  id,
+  idParams,
+  assigneeFilter,
+  isoDate,
+  fromDate,
+  toDate
+};
@@ -0,0 +1,58 @@
+/**
+ * Message Schemas
+ */
+
+const { z } = require('zod');
+const { email, requiredText, optionalText, id, assigneeFilter, fromDate, toDate } = require('./common');
+const { projectFields } = require('./projects');
+const {
+  MESSAGE_STATUSES,
+  MESSAGE_SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+} = require('../services/messageService');
+
+// Public contact form; `website` is a honeypot hidden from people, so only bots fill it in
+const createMessage = z.object({
+  name: requiredText(100),
+  email,
+  message: requiredText(5000),
+  website: z.string().max(500).optional()
+}).strict();
+
+const listMessagesQuery = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(MAX_PAGE_SIZE).default(DEFAULT_PAGE_SIZE),
+  status: z.enum([...MESSAGE_STATUSES, 'converted']).optional(),
+  assigned_to: assigneeFilter.optional(),
+  from: fromDate.optional(),
+  to: toDate.optional(),
+  search: optionalText(200).optional(),
+  sort: z.enum(MESSAGE_SORT_FIELDS).default('created_at'),
+  order: z.enum(['asc', 'desc']).default('desc')
+});
+
+const updateMessage = z.object({
+  status: z.enum(MESSAGE_STATUSES),
+  assigned_to: id.nullable(),
+  note: requiredText(5000)
+}).partial().strict();
+
+const createReply = z.object({
+  body: requiredText(10000),
+  subject: requiredText(200).optional()
+}).strict();
+
+const convertMessage = z.object({
+  createProject: z.boolean().default(false),
+  sendWelcome: z.boolean().default(true),
+  project: z.object(projectFields).partial().strict().default({})
+}).strict();
+
+module.exports = {
+  createMessage,
+  listMessagesQuery,
+  updateMessage,
+  createReply,
+  convertMessage
+};
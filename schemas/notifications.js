@@ -0,0 +1,22 @@
+/**
+ * Notification Schemas
+ */
+
+const { z } = require('zod');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } = require('../services/notificationService');
+
+const listNotificationsQuery = z.object({
+  page: z.coerce.number().int().min(1).default(1),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  unread: z.enum(['true', 'false']).transform(value => value === 'true').default('false')
+});
+
+// One channel per notification type; omitted types keep their current channel
+const updatePreferences = z.object(
+  NOTIFICATION_TYPES.reduce((shape, type) => ({ ...shape, [type]: z.enum(NOTIFICATION_CHANNELS) }), {})
+).partial().strict().refine(value => Object.keys(value).length > 0, 'At least one notification type is required');
+
+module.exports = {
+  listNotificationsQuery,
+  updatePreferences
+};
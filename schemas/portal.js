@@ -0,0 +1,27 @@
+/**
+ * Portal Schemas
+ * Shared by the client portal and the team side of client conversations
+ */
+
+const { z } = require('zod');
+const { requiredText, id } = require('./common');
+const { DOCUMENT_TYPES } = require('../services/documentService');
+
+const postConversationMessage = z.object({
+  body: requiredText(5000),
+  project_id: id.optional()
+}).strict();
+
+const conversationQuery = z.object({
+  project_id: id.optional()
+});
+
+const listDocumentsQuery = z.object({
+  type: z.enum(DOCUMENT_TYPES).optional()
+});
+
+module.exports = {
+  postConversationMessage,
+  conversationQuery,
+  listDocumentsQuery
+};
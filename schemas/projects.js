@@ -0,0 +1,53 @@
+/**
+ * Project Schemas
+ */
+
+const { z } = require('zod');
+const { email, requiredText, optionalText, id, assigneeFilter, isoDate } = require('./common');
+const { PROJECT_STATUSES } = require('../services/projectService');
+
+const projectFields = {
+  name: requiredText(200),
+  description: optionalText(5000).nullable(),
+  client_id: id.nullable(),
+  client_name: optionalText(200).nullable(),
+  client_email: email.nullable(),
+  budget: z.number().nonnegative('Must be a non-negative number').nullable(),
+  deadline: isoDate.nullable(),
+  assigned_to: z.array(id).max(50)
+};
+
+const createProject = z.object(projectFields).partial().required({ name: true }).strict();
+
+const updateProject = z.object({
+  ...projectFields,
+  status: z.enum(PROJECT_STATUSES),
+  statusMessage: requiredText(5000),
+  notifyClient: z.boolean()
+}).partial().strict();
+
+const addUpdate = z.object({
+  message: requiredText(5000),
+  notifyClient: z.boolean().optional()
+}).strict();
+
+const listProjectsQuery = z.object({
+  status: z.enum(PROJECT_STATUSES).optional(),
+  client_id: id.optional(),
+  assigned_to: assigneeFilter.optional()
+});
+
+// DELETE /api/projects/:id/attachments/:attachmentId
+const attachmentParams = z.object({
+  id,
+  attachmentId: id
+});
+
+module.exports = {
+  projectFields,
+  createProject,
+  updateProject,
+  addUpdate,
+  listProjectsQuery,
+  attachmentParams
+};
@@ -0,0 +1,298 @@
+/**
+ * Analytics Service
+ * Sales reporting for the admin dashboard: leads over time, conversion,
+ * response times, status breakdowns and the revenue pipeline.
+ * Every report covers records created within a date range (UTC).
+ */
+
+const { messages, messageReplies, projects, clientDocuments } = require('../repositories');
+const { MESSAGE_STATUSES } = require('./messageService');
+const { PROJECT_STATUSES } = require('./projectService');
+const { ValidationError } = require('../utils/errors');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range used when the caller gives no start date
+const DEFAULT_RANGE_DAYS = 30;
+
+// Longest range a report may cover
+const MAX_RANGE_DAYS = 731;
+
+// Project statuses counted as open pipeline and as won business
+const OPEN_PROJECT_STATUSES = ['lead', 'proposal', 'in_progress', 'review'];
+const WON_PROJECT_STATUSES = ['delivered'];
+
+// Rows fetched per request; Supabase caps a single select at 1000
+const BATCH_SIZE = 1000;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Start of the period containing a date: YYYY-MM-DD for days and weeks
+ * (weeks start on Monday), YYYY-MM for months
+ */
+const periodKey = (value, interval) => {
+  const date = new Date(value);
+
+  if (interval === 'month') return date.toISOString().slice(0, 7);
+  if (interval === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Every period key between two dates, in order
+ */
+const listPeriods = (from, to, interval) => {
+  const periods = [];
+  const cursor = new Date(`${periodKey(from, interval === 'month' ? 'day' : interval)}T00:00:00.000Z`);
+  if (interval === 'month') cursor.setUTCDate(1);
+
+  while (cursor.toISOString() <= to) {
+    periods.push(periodKey(cursor, interval));
+    if (interval === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    else cursor.setUTCDate(cursor.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+
+  return periods;
+};
+
+/**
+ * Read every matching row, in batches
+ */
+const findAll = async (repository, { where, order = { column: 'created_at', ascending: true } }) => {
+  const rows = [];
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const batch = await repository.find({
+      where,
+      order: [order, { column: 'id', ascending: true }],
+      limit: BATCH_SIZE,
+      offset
+    });
+    rows.push(...batch);
+    if (batch.length < BATCH_SIZE) return rows;
+  }
+};
+
+const countBy = (rows, key, keys = []) => rows.reduce((counts, row) => {
+  counts[row[key]] = (counts[row[key]] || 0) + 1;
+  return counts;
+}, Object.fromEntries(keys.map(value => [value, 0])));
+
+class AnalyticsService {
+  /**
+   * Fill in the default range (the last 30 days) and check its length
+   */
+  resolveRange({ from, to } = {}) {
+    const end = to || new Date().toISOString();
+    const start = from || new Date(Date.parse(end) - DEFAULT_RANGE_DAYS * DAY_MS).toISOString();
+
+    if (start > end) {
+      throw new ValidationError('Validation failed', [{ field: 'from', message: 'Must not be after to' }]);
+    }
+    if (Date.parse(end) - Date.parse(start) > MAX_RANGE_DAYS * DAY_MS) {
+      throw new ValidationError('Validation failed', [
+        { field: 'from', message: `The range must be at most ${MAX_RANGE_DAYS} days` }
+      ]);
+    }
+
+    return { from: start, to: end };
+  }
+
+  /**
+   * Messages created in the range, without deleted ones
+   */
+  async getMessages({ from, to }) {
+    return findAll(messages, { where: { created_at: { gte: from, lte: to }, deleted_at: null } });
+  }
+
+  /**
+   * Messages created in the range that are leads (not spam)
+   */
+  async getLeads(range) {
+    return (await this.getMessages(range)).filter(message => message.status !== 'spam');
+  }
+
+  /**
+   * Lead count per day, week or month, including empty periods
+   */
+  async getLeadsOverTime(filters = {}, interval = 'day') {
+    const range = this.resolveRange(filters);
+    const leads = await this.getLeads(range);
+    const counts = countBy(leads.map(lead => ({ period: periodKey(lead.created_at, interval) })), 'period');
+
+    return {
+      ...range,
+      interval,
+      total: leads.length,
+      series: listPeriods(range.from, range.to, interval).map(period => ({ period, count: counts[period] || 0 }))
+    };
+  }
+
+  /**
+   * Share of leads converted into clients
+   */
+  async getConversion(filters = {}) {
+    const range = this.resolveRange(filters);
+    const leads = await this.getLeads(range);
+    const converted = leads.filter(lead => lead.status === 'converted' || lead.converted_at);
+    const withProject = converted.filter(lead => lead.project_id);
+
+    const conversionTimes = converted
+      .filter(lead => lead.converted_at)
+      .map(lead => Date.parse(lead.converted_at) - Date.parse(lead.created_at));
+
+    return {
+      ...range,
+      leads: leads.length,
+      converted: converted.length,
+      convertedWithProject: withProject.length,
+      rate: leads.length ? round(converted.length / leads.length, 4) : 0,
+      averageHoursToConvert: conversionTimes.length
+        ? round(conversionTimes.reduce((sum, ms) => sum + ms, 0) / conversionTimes.length / (60 * 60 * 1000))
+        : null
+    };
+  }
+
+  /**
+   * Time from a lead arriving to the first reply sent from the inbox
+   */
+  async getResponseTimes(filters = {}) {
+    const range = this.resolveRange(filters);
+    const leads = await this.getLeads(range);
+
+    // Replies to these leads can only be written after the range starts
+    const replies = await findAll(messageReplies, { where: { created_at: { gte: range.from } } });
+    const firstReplyAt = replies.reduce((first, reply) => {
+      const current = first.get(reply.message_id);
+      if (!current || reply.created_at < current) first.set(reply.message_id, reply.created_at);
+      return first;
+    }, new Map());
+
+    const responseTimes = leads
+      .filter(lead => firstReplyAt.has(lead.id))
+      .map(lead => Date.parse(firstReplyAt.get(lead.id)) - Date.parse(lead.created_at))
+      .sort((a, b) => a - b);
+
+    const toHours = ms => round(ms / (60 * 60 * 1000));
+
+    return {
+      ...range,
+      leads: leads.length,
+      answered: responseTimes.length,
+      unanswered: leads.length - responseTimes.length,
+      averageHours: responseTimes.length
+        ? toHours(responseTimes.reduce((sum, ms) => sum + ms, 0) / responseTimes.length)
+        : null,
+      medianHours: responseTimes.length
+        ? toHours(responseTimes[Math.floor((responseTimes.length - 1) / 2)])
+        : null
+    };
+  }
+
+  /**
+   * Message count per status, spam included
+   */
+  async getMessageStatusBreakdown(filters = {}) {
+    const range = this.resolveRange(filters);
+    const rows = await this.getMessages(range);
+
+    return {
+      ...range,
+      total: rows.length,
+      byStatus: countBy(rows, 'status', [...MESSAGE_STATUSES, 'converted'])
+    };
+  }
+
+  /**
+   * Project count and budget per status
+   */
+  async getProjectStatusBreakdown(filters = {}) {
+    const range = this.resolveRange(filters);
+    const rows = await findAll(projects, { where: { created_at: { gte: range.from, lte: range.to } } });
+
+    const byStatus = Object.fromEntries(PROJECT_STATUSES.map(status => [status, { count: 0, budget: 0 }]));
+    rows.forEach((project) => {
+      const entry = byStatus[project.status] || (byStatus[project.status] = { count: 0, budget: 0 });
+      entry.count += 1;
+      entry.budget = round(entry.budget + Number(project.budget || 0));
+    });
+
+    return {
+      ...range,
+      total: rows.length,
+      byStatus
+    };
+  }
+
+  /**
+   * Budgets of open and won projects, plus invoiced, paid and outstanding
+   * amounts per currency
+   */
+  async getRevenuePipeline(filters = {}) {
+    const range = this.resolveRange(filters);
+    const { byStatus } = await this.getProjectStatusBreakdown(range);
+    const invoices = await findAll(clientDocuments, {
+      where: { type: 'invoice', created_at: { gte: range.from, lte: range.to } }
+    });
+
+    const sumBudgets = statuses => statuses.reduce((totals, status) => ({
+      count: totals.count + byStatus[status].count,
+      value: round(totals.value + byStatus[status].budget)
+    }), { count: 0, value: 0 });
+
+    const invoiceTotals = {};
+    invoices.filter(invoice => invoice.status !== 'void').forEach((invoice) => {
+      const currency = invoice.currency || 'unspecified';
+      const totals = invoiceTotals[currency] || (invoiceTotals[currency] = { invoiced: 0, paid: 0, outstanding: 0 });
+      const amount = Number(invoice.amount || 0);
+
+      totals.invoiced = round(totals.invoiced + amount);
+      if (invoice.status === 'paid') totals.paid = round(totals.paid + amount);
+      else totals.outstanding = round(totals.outstanding + amount);
+    });
+
+    return {
+      ...range,
+      open: sumBudgets(OPEN_PROJECT_STATUSES),
+      won: sumBudgets(WON_PROJECT_STATUSES),
+      byStatus: Object.fromEntries(Object.entries(byStatus).map(([status, { count, budget }]) => [status, { count, value: budget }])),
+      invoices: invoiceTotals
+    };
+  }
+
+  /**
+   * Every report for the same range, for the dashboard and the weekly meeting
+   */
+  async getOverview(filters = {}, interval = 'week') {
+    const range = this.resolveRange(filters);
+
+    const [leads, conversion, responseTimes, messageStatus, projectStatus, pipeline] = await Promise.all([
+      this.getLeadsOverTime(range, interval),
+      this.getConversion(range),
+      this.getResponseTimes(range),
+      this.getMessageStatusBreakdown(range),
+      this.getProjectStatusBreakdown(range),
+      this.getRevenuePipeline(range)
+    ]);
+
+    const withoutRange = ({ from, to, ...report }) => report;
+
+    return {
+      ...range,
+      leads: withoutRange(leads),
+      conversion: withoutRange(conversion),
+      responseTimes: withoutRange(responseTimes),
+      messages: withoutRange(messageStatus),
+      projects: withoutRange(projectStatus),
+      pipeline: withoutRange(pipeline)
+    };
+  }
+}
+
+module.exports = new AnalyticsService();
+module.exports.INTERVALS = INTERVALS;
+module.exports.DEFAULT_RANGE_DAYS = DEFAULT_RANGE_DAYS;
+module.exports.MAX_RANGE_DAYS = MAX_RANGE_DAYS;
@@ -0,0 +1,176 @@
+/**
+ * Attachment Service
+ * Files attached to contact messages and projects; contents live in the
+ * configured storage backend, metadata in the attachments table
+ */
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { attachments } = require('../repositories');
+const { createStorageFromEnv } = require('./storage');
+const config = require('../config');
+const { NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DEFAULT_ALLOWED_TYPES = [
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/zip'
+];
+
+const MAX_FILE_SIZE = config.attachments.maxFileSize;
+const MAX_FILES = config.attachments.maxFiles;
+const ALLOWED_TYPES = config.attachments.allowedTypes.length
+  ? config.attachments.allowedTypes
+  : DEFAULT_ALLOWED_TYPES;
+
+class AttachmentService {
+  constructor() {
+    try {
+      this.storage = createStorageFromEnv();
+    } catch (error) {
+      logger.error('File storage misconfigured', { error });
+      this.storage = null;
+    }
+  }
+
+  isAllowedType(mimeType) {
+    return ALLOWED_TYPES.includes(String(mimeType).toLowerCase());
+  }
+
+  /**
+   * Metadata as returned by the API, with the authenticated download path
+   */
+  toPublic(attachment) {
+    const { storage_key, ...fields } = attachment;
+    return { ...fields, download_url: `/api/attachments/${attachment.id}/download` };
+  }
+
+  /**
+   * List the attachments of a message or project, oldest first
+   */
+  async listAttachments(entityType, entityId) {
+    const rows = await attachments.find({
+      where: { entity_type: entityType, entity_id: entityId },
+      order: { column: 'created_at', ascending: true }
+    });
+    return rows.map(item => this.toPublic(item));
+  }
+
+  /**
+   * Get an attachment's full record, including its storage key
+   */
+  async getAttachment(id) {
+    const attachment = await attachments.findOne({ id });
+    if (!attachment) throw new NotFoundError('Attachment not found');
+    return attachment;
+  }
+
+  /**
+   * Store uploaded files (multer memory-storage objects) and record their
+   * metadata; all or nothing, files stored before a failure are removed
+   */
+  async addAttachments(entityType, entityId, files, uploadedBy = null) {
+    if (!this.storage) {
+      throw new Error('File storage is not configured');
+    }
+
+    const records = [];
+
+    try {
+      for (const file of files) {
+        records.push(await this.addAttachment(entityType, entityId, file, uploadedBy));
+      }
+    } catch (error) {
+      await this.removeRecords(records);
+      throw error;
+    }
+
+    return records.map(item => this.toPublic(item));
+  }
+
+  /**
+   * Store one file and record its metadata; returns the full record
+   */
+  async addAttachment(entityType, entityId, file, uploadedBy) {
+    const id = uuidv4();
+    const attachment = {
+      id,
+      entity_type: entityType,
+      entity_id: entityId,
+      name: path.basename(file.originalname),
+      mime_type: file.mimetype,
+      size: file.size,
+      storage_key: `${entityType}/${entityId}/${id}${path.extname(file.originalname).toLowerCase()}`,
+      uploaded_by: uploadedBy,
+      created_at: new Date().toISOString()
+    };
+
+    await this.storage.save(attachment.storage_key, file.buffer, { contentType: file.mimetype });
+
+    try {
+      return await attachments.insert(attachment);
+    } catch (error) {
+      await this.storage.remove(attachment.storage_key);
+      throw error;
+    }
+  }
+
+  /**
+   * Read an attachment's contents; returns { attachment, content }
+   */
+  async readAttachment(id) {
+    const attachment = await this.getAttachment(id);
+
+    if (!this.storage) {
+      throw new Error('File storage is not configured');
+    }
+
+    return { attachment, content: await this.storage.read(attachment.storage_key) };
+  }
+
+  /**
+   * Delete one attachment (metadata and file)
+   */
+  async deleteAttachment(id) {
+    const attachment = await this.getAttachment(id);
+    await this.removeRecords([attachment]);
+  }
+
+  /**
+   * Delete every attachment of a message or project
+   */
+  async deleteForEntity(entityType, entityId) {
+    await this.removeRecords(await attachments.find({ where: { entity_type: entityType, entity_id: entityId } }));
+  }
+
+  async removeRecords(records) {
+    if (!records.length) return;
+
+    await attachments.remove({ id: { in: records.map(item => item.id) } });
+
+    // A file left behind in storage is harmless; missing metadata hides it from the API
+    await Promise.all(records.map(item => (
+      this.storage
+        ? this.storage.remove(item.storage_key).catch((error) => {
+          logger.error('Could not remove stored file', { storageKey: item.storage_key, error });
+        })
+        : null
+    )));
+  }
+}
+
+module.exports = new AttachmentService();
+module.exports.MAX_FILE_SIZE = MAX_FILE_SIZE;
+module.exports.MAX_FILES = MAX_FILES;
+module.exports.ALLOWED_TYPES = ALLOWED_TYPES;
@@ -0,0 +1,126 @@
+/**
+ * Audit Service
+ * Records who changed what: actor, action, entity, field diff, IP and request id
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { messages, projects, clients, auditLogs } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Audited entity -> repository its records are loaded from for the diff
+const ENTITY_REPOSITORIES = {
+  message: messages,
+  project: projects,
+  client: clients
+};
+
+const AUDIT_OUTCOMES = ['success', 'failure'];
+
+// Changed on every write, so never part of the diff
+const IGNORED_FIELDS = ['updated_at'];
+
+// Diffed as changed, never with their values
+const SENSITIVE_FIELDS = ['password_hash'];
+
+const same = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+class AuditService {
+  /**
+   * Load an entity as stored, or null when it does not exist (yet or anymore)
+   */
+  async loadEntity(entityType, id) {
+    const repository = ENTITY_REPOSITORIES[entityType];
+    if (!repository || !id) return null;
+
+    try {
+      return await repository.findOne({ id });
+    } catch (error) {
+      logger.warn('Failed to load audited entity', { entityType, entityId: id, error });
+      return null;
+    }
+  }
+
+  /**
+   * Field changes between two versions of a record as { field: { from, to } };
+   * a missing version (creation, hard delete) counts as every field being null
+   */
+  diff(before, after) {
+    if (!before && !after) return null;
+
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+
+    fields.forEach((field) => {
+      if (IGNORED_FIELDS.includes(field)) return;
+
+      const from = before ? before[field] : null;
+      const to = after ? after[field] : null;
+      if (same(from, to)) return;
+
+      changes[field] = SENSITIVE_FIELDS.includes(field)
+        ? { from: '[REDACTED]', to: '[REDACTED]' }
+        : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    });
+
+    return Object.keys(changes).length ? changes : null;
+  }
+
+  /**
+   * Store an audit entry; failures are logged so auditing never breaks a request
+   */
+  async record(entry) {
+    try {
+      return await auditLogs.insert({
+        id: uuidv4(),
+        action: entry.action,
+        outcome: entry.outcome,
+        actor_id: entry.actorId || null,
+        actor_email: entry.actorEmail || null,
+        actor_role: entry.actorRole || null,
+        entity_type: entry.entityType || null,
+        entity_id: entry.entityId || null,
+        changes: entry.changes || null,
+        method: entry.method,
+        path: entry.path,
+        status_code: entry.statusCode,
+        ip: entry.ip || null,
+        user_agent: entry.userAgent || null,
+        request_id: entry.requestId || null,
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Failed to record audit entry', { action: entry.action, error });
+      return null;
+    }
+  }
+
+  /**
+   * List audit entries, newest first, with optional filters
+   */
+  async listEntries({ actorId, action, entityType, entityId, outcome, from, to, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (actorId) where.actor_id = actorId;
+    if (action) where.action = action.endsWith('.') ? { ilike: `${action}%` } : action;
+    if (entityType) where.entity_type = entityType;
+    if (entityId) where.entity_id = entityId;
+    if (outcome) where.outcome = outcome;
+    if (from || to) {
+      where.created_at = {};
+      if (from) where.created_at.gte = from;
+      if (to) where.created_at.lte = to;
+    }
+
+    const { rows, total } = await auditLogs.findPage({
+      where,
+      order: { column: 'created_at', ascending: false },
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return { entries: rows, total };
+  }
+}
+
+module.exports = new AuditService();
+module.exports.AUDIT_OUTCOMES = AUDIT_OUTCOMES;
+module.exports.ENTITY_TYPES = Object.keys(ENTITY_REPOSITORIES);
@@ -0,0 +1,276 @@
+/**
+ * Auth Service
+ * User accounts, password hashing and JWT access/refresh tokens
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { users, refreshTokens } = require('../repositories');
+const config = require('../config');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const BCRYPT_ROUNDS = 10;
+const ROLES = ['admin', 'team', 'client'];
+
+// Compared against when a login email is unknown so timing does not reveal accounts
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+class AuthError extends ApiError {
+  constructor(message, status = 401, code = 'AUTH_ERROR') {
+    super(message, status, code);
+    this.name = 'AuthError';
+  }
+}
+
+class AuthService {
+  constructor() {
+    if (config.auth.jwtSecret) {
+      this.jwtSecret = config.auth.jwtSecret;
+    } else {
+      // Tokens signed with a per-process secret stop working on restart
+      this.jwtSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('JWT_SECRET not configured. Using a temporary secret for this process');
+    }
+    this.accessTokenTtl = config.auth.accessTokenTtl;
+    this.refreshTokenTtl = config.auth.refreshTokenTtl;
+  }
+
+  /**
+   * Remove sensitive fields before returning a user to callers
+   */
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      client_id: user.client_id || null,
+      created_at: user.created_at
+    };
+  }
+
+  /**
+   * Find a user by email
+   */
+  async findUserByEmail(email) {
+    return users.findOne({ email: String(email || '').trim().toLowerCase() });
+  }
+
+  /**
+   * Find a user by id
+   */
+  async findUserById(id) {
+    return users.findOne({ id });
+  }
+
+  /**
+   * List users, optionally only those with one of the given roles
+   */
+  async listUsers({ roles } = {}) {
+    return users.find({ where: roles ? { role: { in: roles } } : {} });
+  }
+
+  /**
+   * Create a user with a bcrypt-hashed password
+   */
+  async createUser({ email, password, name, role = 'client', clientId = null }) {
+    if (!ROLES.includes(role)) {
+      throw new AuthError(`Invalid role: ${role}`, 400, 'VALIDATION_ERROR');
+    }
+
+    const normalized = String(email || '').trim().toLowerCase();
+    if (await this.findUserByEmail(normalized)) {
+      throw new AuthError('User already exists', 409, 'CONFLICT');
+    }
+
+    const user = {
+      id: uuidv4(),
+      email: normalized,
+      name: name || normalized.split('@')[0],
+      role,
+      client_id: role === 'client' ? clientId : null,
+      password_hash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      created_at: new Date().toISOString()
+    };
+
+    return this.toPublicUser(await users.insert(user));
+  }
+
+  /**
+   * Create the admin account from ADMIN_EMAIL / ADMIN_PASSWORD if it does not exist
+   */
+  async ensureAdminUser() {
+    const { adminEmail: email, adminPassword: password } = config.auth;
+
+    if (!email || !password) {
+      logger.info('To bootstrap an admin account, configure: ADMIN_EMAIL, ADMIN_PASSWORD');
+      return null;
+    }
+
+    try {
+      const existing = await this.findUserByEmail(email);
+      if (existing) return this.toPublicUser(existing);
+
+      const admin = await this.createUser({ email, password, role: 'admin' });
+      logger.info('Admin account created', { userId: admin.id, email: admin.email });
+      return admin;
+    } catch (error) {
+      logger.error('Failed to bootstrap admin account', { error });
+      return null;
+    }
+  }
+
+  /**
+   * Sign a short-lived access token
+   */
+  signAccessToken(user) {
+    return jwt.sign(
+      {
+        sub: user.id,
+        email: user.email,
+        role: user.role,
+        name: user.name,
+        ...(user.client_id && { client_id: user.client_id }),
+        type: 'access'
+      },
+      this.jwtSecret,
+      { expiresIn: this.accessTokenTtl }
+    );
+  }
+
+  /**
+   * Sign a refresh token and record it so it can be revoked
+   */
+  async issueRefreshToken(user) {
+    const jti = uuidv4();
+    const token = jwt.sign(
+      { sub: user.id, type: 'refresh' },
+      this.jwtSecret,
+      { expiresIn: this.refreshTokenTtl, jwtid: jti }
+    );
+    const { exp } = jwt.decode(token);
+
+    const record = {
+      id: jti,
+      user_id: user.id,
+      expires_at: new Date(exp * 1000).toISOString(),
+      revoked_at: null,
+      created_at: new Date().toISOString()
+    };
+
+    await refreshTokens.insert(record);
+    return token;
+  }
+
+  /**
+   * Issue an access/refresh token pair for a user
+   */
+  async issueTokens(user) {
+    return {
+      token: this.signAccessToken(user),
+      refreshToken: await this.issueRefreshToken(user),
+      expiresIn: this.accessTokenTtl
+    };
+  }
+
+  /**
+   * Verify an access token and return its payload
+   */
+  verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.jwtSecret);
+    } catch (error) {
+      throw new AuthError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+
+    if (payload.type !== 'access') {
+      throw new AuthError('Invalid token');
+    }
+
+    return payload;
+  }
+
+  async findRefreshToken(jti) {
+    return refreshTokens.findOne({ id: jti });
+  }
+
+  async revokeRefreshTokenById(jti) {
+    await refreshTokens.update({ id: jti }, { revoked_at: new Date().toISOString() });
+  }
+
+  /**
+   * Authenticate with email and password
+   */
+  async login(email, password) {
+    const user = await this.findUserByEmail(email);
+
+    const hash = user ? user.password_hash : DUMMY_PASSWORD_HASH;
+    const valid = await bcrypt.compare(String(password || ''), hash);
+
+    if (!user || !valid) {
+      throw new AuthError('Invalid credentials');
+    }
+
+    return {
+      user: this.toPublicUser(user),
+      ...(await this.issueTokens(user))
+    };
+  }
+
+  /**
+   * Exchange a valid refresh token for a new token pair (the old one is revoked)
+   */
+  async refresh(refreshToken) {
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, this.jwtSecret);
+    } catch (error) {
+      throw new AuthError('Invalid refresh token');
+    }
+
+    if (payload.type !== 'refresh' || !payload.jti) {
+      throw new AuthError('Invalid refresh token');
+    }
+
+    const record = await this.findRefreshToken(payload.jti);
+    if (!record || record.revoked_at) {
+      throw new AuthError('Refresh token revoked');
+    }
+
+    const user = await this.findUserById(payload.sub);
+    if (!user) {
+      throw new AuthError('User no longer exists');
+    }
+
+    await this.revokeRefreshTokenById(payload.jti);
+
+    return {
+      user: this.toPublicUser(user),
+      ...(await this.issueTokens(user))
+    };
+  }
+
+  /**
+   * Revoke a refresh token; unknown or malformed tokens are ignored
+   */
+  async logout(refreshToken) {
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken || '', this.jwtSecret, { ignoreExpiration: true });
+    } catch (error) {
+      return;
+    }
+
+    if (payload.type === 'refresh' && payload.jti) {
+      await this.revokeRefreshTokenById(payload.jti);
+    }
+  }
+}
+
+module.exports = new AuthService();
+module.exports.AuthError = AuthError;
+module.exports.ROLES = ROLES;
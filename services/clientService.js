@@ -0,0 +1,133 @@
+/**
+ * Client Service
+ * Client records, onboarding and contact history
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { clients } = require('../repositories');
+const emailService = require('./emailService');
+const messageService = require('./messageService');
+const projectService = require('./projectService');
+const { ApiError, NotFoundError } = require('../utils/errors');
+
+const EDITABLE_FIELDS = ['name', 'email', 'company', 'phone', 'notes'];
+
+const pickEditable = (data) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (data[key] !== undefined) fields[key] = data[key];
+  return fields;
+}, {});
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+class ClientService {
+  /**
+   * List clients, optionally filtered by status or a name/email/company search
+   */
+  async listClients({ status, search } = {}) {
+    return clients.find({
+      where: status ? { status } : {},
+      search: search ? { term: search, columns: ['name', 'email', 'company'] } : null,
+      order: { column: 'created_at', ascending: false }
+    });
+  }
+
+  /**
+   * Get a client by id or throw NotFoundError
+   */
+  async getClient(id) {
+    const client = await clients.findOne({ id });
+    if (!client) throw new NotFoundError('Client not found');
+    return client;
+  }
+
+  /**
+   * Find a client by email
+   */
+  async findByEmail(email) {
+    return clients.findOne({ email: normalizeEmail(email) });
+  }
+
+  /**
+   * Create a client and send the welcome email
+   */
+  async createClient(data, { sendWelcome = true } = {}) {
+    const email = normalizeEmail(data.email);
+
+    if (await this.findByEmail(email)) {
+      throw new ApiError('A client with this email already exists', 409, 'CONFLICT');
+    }
+
+    const now = new Date().toISOString();
+    let client = await clients.insert({
+      id: uuidv4(),
+      company: null,
+      phone: null,
+      notes: null,
+      ...pickEditable(data),
+      email,
+      status: 'active',
+      welcome_sent_at: null,
+      archived_at: null,
+      created_at: now,
+      updated_at: now
+    });
+
+    if (sendWelcome) {
+      const result = await emailService.sendWelcomeEmail(client.email, client.name);
+      if (result.success) {
+        client = await this.saveClient(client.id, { welcome_sent_at: new Date().toISOString() });
+      }
+    }
+
+    return client;
+  }
+
+  /**
+   * Update editable client fields
+   */
+  async updateClient(id, data) {
+    await this.getClient(id);
+
+    const changes = pickEditable(data);
+    if (changes.email !== undefined) {
+      changes.email = normalizeEmail(changes.email);
+      const existing = await this.findByEmail(changes.email);
+      if (existing && existing.id !== id) {
+        throw new ApiError('A client with this email already exists', 409, 'CONFLICT');
+      }
+    }
+
+    return this.saveClient(id, changes);
+  }
+
+  /**
+   * Archive a client; archived clients keep their history
+   */
+  async archiveClient(id) {
+    const client = await this.getClient(id);
+    if (client.status === 'archived') return client;
+
+    return this.saveClient(id, { status: 'archived', archived_at: new Date().toISOString() });
+  }
+
+  async saveClient(id, changes) {
+    return clients.updateOne({ id }, { ...changes, updated_at: new Date().toISOString() });
+  }
+
+  /**
+   * Get a client with their projects, contact-form messages and emails sent to them
+   */
+  async getClientDetail(id) {
+    const client = await this.getClient(id);
+
+    const [projects, messages, emails] = await Promise.all([
+      projectService.listProjects({ clientId: client.id }),
+      messageService.findByEmail(client.email),
+      emailService.getEmailsForRecipient(client.email)
+    ]);
+
+    return { ...client, projects, messages, emails };
+  }
+}
+
+module.exports = new ClientService();
@@ -0,0 +1,110 @@
+/**
+ * Conversation Service
+ * Messages exchanged between a client and the team, and team chat
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { conversationMessages } = require('../repositories');
+const projectService = require('./projectService');
+const eventBus = require('./eventBus');
+
+const { EVENTS } = eventBus;
+
+class ConversationService {
+  /**
+   * List a client's conversation, oldest first, optionally for one project
+   */
+  async listConversation(clientId, { projectId } = {}) {
+    return conversationMessages.find({
+      where: projectId ? { client_id: clientId, project_id: projectId } : { client_id: clientId },
+      order: { column: 'created_at', ascending: true }
+    });
+  }
+
+  /**
+   * List client messages addressed to a team member, newest first
+   */
+  async listForRecipient(userId, { limit = 50 } = {}) {
+    return conversationMessages.find({
+      where: { recipient_ids: { contains: [userId] } },
+      order: { column: 'created_at', ascending: false },
+      limit
+    });
+  }
+
+  /**
+   * Team members a client's message is delivered to: those assigned to the
+   * project, or to any of the client's projects when no project is given
+   */
+  async getRecipients(clientId, projectId = null) {
+    const projects = projectId
+      ? [await projectService.getProject(projectId)]
+      : await projectService.listProjects({ clientId });
+
+    return [...new Set(projects.flatMap(project => project.assigned_to || []))];
+  }
+
+  /**
+   * Chat room a conversation message belongs to
+   */
+  getRoom(clientId, projectId = null) {
+    if (projectId) return `project-${projectId}`;
+    if (clientId) return `client-${clientId}`;
+    return 'team';
+  }
+
+  /**
+   * Latest messages of a chat room, returned oldest first
+   */
+  async listRoom(room, { limit = 50 } = {}) {
+    const latest = await conversationMessages.find({
+      where: { room },
+      order: { column: 'created_at', ascending: false },
+      limit
+    });
+    return latest.reverse();
+  }
+
+  /**
+   * Record that a user has read messages in a room; returns the ids newly marked
+   */
+  async markRead(room, messageIds, userId) {
+    const readAt = new Date().toISOString();
+    const messages = await conversationMessages.find({ where: { room, id: { in: messageIds } } });
+
+    const unread = messages.filter(message => !(message.read_by || []).some(receipt => receipt.user_id === userId));
+
+    for (const message of unread) {
+      const readBy = [...(message.read_by || []), { user_id: userId, read_at: readAt }];
+      await conversationMessages.update({ id: message.id }, { read_by: readBy });
+    }
+
+    return { messageIds: unread.map(message => message.id), readAt };
+  }
+
+  /**
+   * Add a message to a client's conversation, or to the team room when there is no client
+   */
+  async postMessage({ clientId = null, projectId = null, author, body }) {
+    const fromClient = author.role === 'client';
+
+    const message = await conversationMessages.insert({
+      id: uuidv4(),
+      room: this.getRoom(clientId, projectId),
+      client_id: clientId,
+      project_id: projectId,
+      author_id: author.id,
+      author_name: author.name || null,
+      author_role: author.role,
+      body,
+      recipient_ids: fromClient ? await this.getRecipients(clientId, projectId) : [],
+      read_by: [],
+      created_at: new Date().toISOString()
+    });
+
+    eventBus.publish(EVENTS.CONVERSATION_MESSAGE_CREATED, { message });
+    return message;
+  }
+}
+
+module.exports = new ConversationService();
@@ -0,0 +1,44 @@
+/**
+ * Document Service
+ * Invoices and files shared with a client
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { clientDocuments } = require('../repositories');
+
+const DOCUMENT_TYPES = ['invoice', 'file'];
+
+class DocumentService {
+  /**
+   * List a client's documents, newest first, optionally by type
+   */
+  async listDocuments(clientId, { type } = {}) {
+    return clientDocuments.find({
+      where: type ? { client_id: clientId, type } : { client_id: clientId },
+      order: { column: 'created_at', ascending: false }
+    });
+  }
+
+  /**
+   * Share an invoice or file with a client
+   */
+  async addDocument(clientId, data, createdBy = null) {
+    return clientDocuments.insert({
+      id: uuidv4(),
+      client_id: clientId,
+      project_id: data.project_id || null,
+      type: data.type,
+      name: data.name,
+      url: data.url,
+      amount: data.amount === undefined ? null : data.amount,
+      currency: data.currency || null,
+      due_date: data.due_date || null,
+      status: data.status || null,
+      created_by: createdBy,
+      created_at: new Date().toISOString()
+    });
+  }
+}
+
+module.exports = new DocumentService();
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
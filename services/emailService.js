@@ -1,209 +1,307 @@
 /**
  * Email Service
- * Handles email notifications using Resend
+ * Handles email notifications through a configurable transport and a retrying outbox
  */
 
-const { Resend } = require('resend');
-const { supabase } = require('../config/supabase');
-require('dotenv').config();
+const { v4: uuidv4 } = require('uuid');
+const { emailNotifications } = require('../repositories');
+const { renderEmail } = require('../templates/emails');
+const { createTransportFromEnv } = require('./emailTransports');
+const eventBus = require('./eventBus');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getRequestId, runWithRequestId } = require('../utils/logger');
 
-// Enable email service when configured
-const resend = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+
+const { EVENTS } = eventBus;
+
+// Outbox statuses: pending -> sending -> sent, or back to pending with backoff until dead
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+
+// How long a claimed email may stay in sending before another run takes it over
+const SENDING_LEASE_MS = 5 * 60 * 1000;
+
+// Longest wait between two attempts, however many have failed
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
 
 class EmailService {
   constructor() {
-    this.fromEmail = process.env.FROM_EMAIL || 'noreply@salesresolve.ro';
-    this.adminEmail = process.env.ADMIN_EMAIL || 'romanetflavia@gmail.com';
+    this.fromEmail = config.email.fromEmail;
+    this.adminEmail = config.email.adminEmail;
+    this.maxAttempts = config.email.maxAttempts;
+    this.backoffMs = config.email.retryBackoffMs;
+    this.processing = false;
+
+    // Enable email service when a transport is configured
+    try {
+      this.transport = createTransportFromEnv();
+    } catch (error) {
+      logger.error('Email transport misconfigured', { error });
+      this.transport = null;
+    }
   }
 
   /**
-   * Send email notification
+   * Queue an email for delivery by the outbox worker
+   * meta.messageId links the email to the contact message it answers
    */
-  async sendEmail(to, subject, html, text = null) {
+  async sendEmail(to, subject, html, text = null, meta = {}) {
+    if (!this.transport) {
+      logger.warn('Email service not configured, skipping email. Configure RESEND_API_KEY or EMAIL_TRANSPORT', { subject });
+      return { success: false, error: 'Email service not configured' };
+    }
+
     try {
-      if (!resend || !process.env.RESEND_API_KEY) {
-        console.log('📧 Email service not configured. Skipping email send.');
-        console.log('📝 To enable emails, configure: RESEND_API_KEY');
-        return { success: false, error: 'Email service not configured' };
-      }
+      const email = await this.enqueueEmail(to, subject, html, text, meta);
 
-      const emailData = {
-        from: this.fromEmail,
-        to: [to],
-        subject,
-        html,
-        ...(text && { text })
-      };
+      // Deliver right away in the background; the cron worker picks up retries
+      setImmediate(() => this.processOutbox());
 
-      const result = await resend.emails.send(emailData);
-      
-      // Log email to database
-      await this.logEmail(to, subject, html, 'sent');
-      
-      console.log('📧 Email sent successfully:', result);
-      return { success: true, data: result };
+      return { success: true, queued: true, id: email.id };
     } catch (error) {
-      console.error('❌ Email send failed:', error);
-      
-      // Log failed email to database
-      await this.logEmail(to, subject, html, 'failed');
-      
+      logger.error('Failed to queue email', { subject, error });
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Send new message notification to admin
+   * Store an email in the outbox as pending
+   */
+  async enqueueEmail(to, subject, html, text = null, meta = {}) {
+    const now = new Date().toISOString();
+    const email = {
+      id: uuidv4(),
+      to_email: to,
+      subject,
+      body: html,
+      text_body: text,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now,
+      last_error: null,
+      message_id: meta.messageId || null,
+      // Request that queued the email, so delivery log lines can be traced back to it
+      request_id: getRequestId(),
+      transport: null,
+      provider_id: null,
+      sent_at: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    await emailNotifications.insert(email);
+    logger.info('Email queued', { emailId: email.id, to, subject, messageId: email.message_id });
+    return email;
+  }
+
+  /**
+   * Send one email through the configured transport; throws on failure
+   */
+  async deliver(email) {
+    return this.transport.send({
+      from: this.fromEmail,
+      to: email.to_email,
+      subject: email.subject,
+      html: email.body,
+      text: email.text_body
+    });
+  }
+
+  /**
+   * Delay before the next attempt: backoff, 2x backoff, 4x backoff, ...
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  }
+
+  // expected: column values the row must still have, so two workers cannot claim the same email
+  async updateOutboxEmail(id, changes, expected = {}) {
+    return emailNotifications.updateOne({ ...expected, id }, { ...changes, updated_at: new Date().toISOString() });
+  }
+
+  /**
+   * Pending emails that are due, and emails whose sending lease expired
+   */
+  async getDueEmails(limit) {
+    return emailNotifications.find({
+      where: { status: { in: ['pending', 'sending'] }, next_attempt_at: { lte: new Date().toISOString() } },
+      order: { column: 'next_attempt_at', ascending: true },
+      limit
+    });
+  }
+
+  /**
+   * Attempt delivery of due pending emails; failures are rescheduled with
+   * exponential backoff and become dead after maxAttempts. An attempt is
+   * counted when the email is claimed, so one interrupted mid-send is retried
+   * once its lease expires, or becomes dead if it was the last attempt.
+   */
+  async processOutbox({ limit = 20 } = {}) {
+    if (this.processing || !this.transport) return { processed: 0 };
+    this.processing = true;
+
+    let processed = 0;
+    try {
+      const dueEmails = await this.getDueEmails(limit);
+
+      for (const due of dueEmails) {
+        if (due.status === 'sending' && due.attempts >= this.maxAttempts) {
+          await this.abandonInterrupted(due);
+          continue;
+        }
+
+        // Claim the email so another worker does not send it twice
+        const attempts = due.attempts + 1;
+        const email = await this.updateOutboxEmail(
+          due.id,
+          { status: 'sending', attempts, next_attempt_at: new Date(Date.now() + SENDING_LEASE_MS).toISOString() },
+          { status: due.status, next_attempt_at: due.next_attempt_at }
+        );
+        if (!email) continue;
+
+        processed++;
+
+        await runWithRequestId(email.request_id || null, () => this.attemptDelivery(email, attempts));
+      }
+    } catch (error) {
+      logger.error('Error processing email outbox', { error });
+    } finally {
+      this.processing = false;
+    }
+
+    return { processed };
+  }
+
+  /**
+   * Mark an email dead whose last attempt was interrupted before its result was recorded
    */
-  async sendNewMessageNotification(messageData) {
+  async abandonInterrupted(email) {
+    const error = 'Delivery interrupted before completion';
+    const dead = await this.updateOutboxEmail(
+      email.id,
+      { status: 'dead', last_error: error, next_attempt_at: null },
+      { status: 'sending', next_attempt_at: email.next_attempt_at }
+    );
+    if (!dead) return;
+
+    logger.error('Email send interrupted', { emailId: email.id, attempts: email.attempts, maxAttempts: this.maxAttempts, willRetry: false });
+    eventBus.publish(EVENTS.EMAIL_FAILED, { email: dead, error, attempts: email.attempts, willRetry: false });
+  }
+
+  /**
+   * One delivery attempt of a claimed email; records the result on the outbox row
+   */
+  async attemptDelivery(email, attempts) {
+    try {
+      const result = await this.deliver(email);
+      await this.updateOutboxEmail(email.id, {
+        status: 'sent',
+        attempts,
+        next_attempt_at: null,
+        last_error: null,
+        transport: result.transport || this.transport.name,
+        provider_id: result.id || null,
+        sent_at: new Date().toISOString()
+      });
+      logger.info('Email sent', {
+        emailId: email.id,
+        transport: result.transport || this.transport.name,
+        providerId: result.id || null,
+        attempts
+      });
+    } catch (error) {
+      const dead = attempts >= this.maxAttempts;
+      await this.updateOutboxEmail(email.id, {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: dead ? null : new Date(Date.now() + this.getRetryDelay(attempts)).toISOString()
+      });
+      logger.error('Email send failed', { emailId: email.id, attempts, maxAttempts: this.maxAttempts, willRetry: !dead, error });
+      eventBus.publish(EVENTS.EMAIL_FAILED, { email, error: error.message, attempts, willRetry: !dead });
+    }
+  }
+
+  /**
+   * Send new message notification to the admin address or a team member
+   */
+  async sendNewMessageNotification(messageData, to = this.adminEmail) {
     const { name, email, message } = messageData;
-    
-    const subject = `📨 Mesaj nou de la ${name} - Sales Resolve`;
-    
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: #333; color: white; padding: 20px; text-align: center;">
-          <h1>📨 Mesaj nou - Sales Resolve</h1>
-        </div>
-        
-        <div style="padding: 20px; background: #f9f9f9;">
-          <h2>Detalii mesaj:</h2>
-          
-          <div style="background: white; padding: 15px; border-radius: 8px; margin: 15px 0;">
-            <p><strong>👤 Nume:</strong> ${name}</p>
-            <p><strong>📧 Email:</strong> ${email}</p>
-            <p><strong>📅 Data:</strong> ${new Date().toLocaleString('ro-RO')}</p>
-          </div>
-          
-          <div style="background: white; padding: 15px; border-radius: 8px; margin: 15px 0;">
-            <h3>💬 Mesaj:</h3>
-            <p style="line-height: 1.6;">${message}</p>
-          </div>
-          
-          <div style="text-align: center; margin: 20px 0;">
-            <a href="https://salesresolvefrontend-6bgv.vercel.app" 
-               style="background: #333; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-              🔗 Vezi în Dashboard
-            </a>
-          </div>
-        </div>
-        
-        <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
-          <p>© 2024 Sales Resolve. Toate drepturile rezervate.</p>
-        </div>
-      </div>
-    `;
-
-    return await this.sendEmail(this.adminEmail, subject, html);
+
+    const { subject, html, text } = renderEmail('newMessage', {
+      name,
+      email,
+      message,
+      date: new Date().toLocaleString('ro-RO')
+    });
+
+    return await this.sendEmail(to, subject, html, text);
   }
 
   /**
    * Send welcome email to new client
    */
   async sendWelcomeEmail(clientEmail, clientName) {
-    const subject = `🎉 Bine ai venit la Sales Resolve, ${clientName}!`;
-    
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: #333; color: white; padding: 20px; text-align: center;">
-          <h1>🎉 Bine ai venit la Sales Resolve!</h1>
-        </div>
-        
-        <div style="padding: 20px; background: #f9f9f9;">
-          <h2>Salut, ${clientName}!</h2>
-          
-          <p>Mulțumim că ai ales Sales Resolve pentru dezvoltarea afacerii tale online! 🚀</p>
-          
-          <div style="background: white; padding: 15px; border-radius: 8px; margin: 15px 0;">
-            <h3>🎯 Ce urmează:</h3>
-            <ul>
-              <li>✅ Echipa noastră va analiza nevoile tale</li>
-              <li>📞 Vei fi contactat în 24 de ore</li>
-              <li>💡 Vom discuta strategia perfectă pentru afacerea ta</li>
-              <li>🚀 Vom începe dezvoltarea proiectului</li>
-            </ul>
-          </div>
-          
-          <div style="background: white; padding: 15px; border-radius: 8px; margin: 15px 0;">
-            <h3>📞 Contact:</h3>
-            <p><strong>📧 Email:</strong> salesresolve1@gmail.com</p>
-            <p><strong>📱 Telefon:</strong> 0771510039</p>
-          </div>
-          
-          <div style="text-align: center; margin: 20px 0;">
-            <a href="https://salesresolvefrontend-6bgv.vercel.app" 
-               style="background: #333; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-              🌐 Vezi Website-ul
-            </a>
-          </div>
-        </div>
-        
-        <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
-          <p>© 2024 Sales Resolve. Toate drepturile rezervate.</p>
-        </div>
-      </div>
-    `;
-
-    return await this.sendEmail(clientEmail, subject, html);
+    const { subject, html, text } = renderEmail('welcome', { clientName });
+
+    return await this.sendEmail(clientEmail, subject, html, text);
   }
 
   /**
    * Send project update notification
    */
   async sendProjectUpdateEmail(clientEmail, clientName, projectName, updateMessage) {
-    const subject = `📈 Actualizare proiect: ${projectName}`;
-    
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <div style="background: #333; color: white; padding: 20px; text-align: center;">
-          <h1>📈 Actualizare Proiect</h1>
-        </div>
-        
-        <div style="padding: 20px; background: #f9f9f9;">
-          <h2>Salut, ${clientName}!</h2>
-          
-          <div style="background: white; padding: 15px; border-radius: 8px; margin: 15px 0;">
-            <h3>📋 Proiect: ${projectName}</h3>
-            <p style="line-height: 1.6;">${updateMessage}</p>
-          </div>
-          
-          <div style="text-align: center; margin: 20px 0;">
-            <a href="https://salesresolvefrontend-6bgv.vercel.app" 
-               style="background: #333; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-              🔗 Vezi Progresul
-            </a>
-          </div>
-        </div>
-        
-        <div style="background: #333; color: white; padding: 15px; text-align: center; font-size: 12px;">
-          <p>© 2024 Sales Resolve. Toate drepturile rezervate.</p>
-        </div>
-      </div>
-    `;
-
-    return await this.sendEmail(clientEmail, subject, html);
+    const { subject, html, text } = renderEmail('projectUpdate', {
+      clientName,
+      projectName,
+      updateMessage
+    });
+
+    return await this.sendEmail(clientEmail, subject, html, text);
+  }
+
+  /**
+   * Send a team reply to a contact message, quoting the original
+   */
+  async sendMessageReply(messageData, reply) {
+    const { id, name, email, message } = messageData;
+
+    const { subject, html, text } = renderEmail('messageReply', {
+      name,
+      message,
+      subject: reply.subject,
+      body: reply.body,
+      authorName: reply.authorName
+    });
+
+    return await this.sendEmail(email, subject, html, text, { messageId: id });
   }
 
   /**
-   * Log email to database
+   * Send an in-app notification by email to its recipient
    */
-  async logEmail(to, subject, body, status) {
+  async sendNotificationEmail(user, notification) {
+    const { subject, html, text } = renderEmail('notification', {
+      recipientName: user.name || user.email,
+      title: notification.title,
+      body: notification.body
+    });
+
+    return await this.sendEmail(user.email, subject, html, text);
+  }
+
+  /**
+   * Get emails logged for a recipient, newest first
+   */
+  async getEmailsForRecipient(email) {
     try {
-      const { error } = await supabase
-        .from('email_notifications')
-        .insert({
-          to_email: to,
-          subject,
-          body,
-          status,
-          sent_at: status === 'sent' ? new Date().toISOString() : null
-        });
-
-      if (error) {
-        console.error('❌ Failed to log email to database:', error);
-      }
+      return await emailNotifications.find({
+        where: { to_email: String(email || '').trim().toLowerCase() },
+        order: { column: 'created_at', ascending: false }
+      });
     } catch (error) {
-      console.error('❌ Error logging email:', error);
+      logger.error('Error getting emails for recipient', { error });
+      return [];
     }
   }
 
@@ -212,26 +310,24 @@ class EmailService {
    */
   async getEmailStats() {
     try {
-      const { data, error } = await supabase
-        .from('email_notifications')
-        .select('status, created_at')
-        .order('created_at', { ascending: false });
-
-      if (error) throw error;
+      const data = await emailNotifications.find();
 
       const stats = {
         total: data.length,
         sent: data.filter(email => email.status === 'sent').length,
         failed: data.filter(email => email.status === 'failed').length,
-        pending: data.filter(email => email.status === 'pending').length
+        pending: data.filter(email => ['pending', 'sending'].includes(email.status)).length,
+        dead: data.filter(email => email.status === 'dead').length
       };
 
       return { success: true, data: stats };
     } catch (error) {
-      console.error('❌ Error getting email stats:', error);
+      logger.error('Error getting email stats', { error });
       return { success: false, error: error.message };
     }
   }
 }
 
 module.exports = new EmailService();
+module.exports.OUTBOX_STATUSES = OUTBOX_STATUSES;
+module.exports.SENDING_LEASE_MS = SENDING_LEASE_MS;
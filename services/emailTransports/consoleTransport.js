@@ -0,0 +1,20 @@
+/**
+ * Console Transport
+ * Development driver that logs emails instead of sending them; addresses
+ * are masked by the logger like any other log line
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    const id = uuidv4();
+    logger.info('Email (console transport)', { emailId: id, from, to, subject, text });
+    return { id };
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,31 @@
+/**
+ * File Transport
+ * Development driver that writes each email to a local directory
+ * (<id>.html to open in a browser, <id>.json with headers and text)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+
+const createFileTransport = ({ directory }) => ({
+  name: 'file',
+
+  async send({ from, to, subject, html, text }) {
+    const id = `${Date.now()}-${uuidv4()}`;
+
+    await fs.mkdir(directory, { recursive: true });
+    await fs.writeFile(path.join(directory, `${id}.html`), html, 'utf8');
+    await fs.writeFile(
+      path.join(directory, `${id}.json`),
+      JSON.stringify({ id, from, to, subject, text, created_at: new Date().toISOString() }, null, 2),
+      'utf8'
+    );
+
+    logger.info('Email written to file', { file: path.join(directory, `${id}.html`) });
+    return { id };
+  }
+});
+
+module.exports = createFileTransport;
@@ -0,0 +1,87 @@
+/**
+ * Email Transports
+ * Builds the transport chosen by EMAIL_TRANSPORT, with optional failover
+ * to EMAIL_FALLBACK_TRANSPORT when the primary one fails
+ */
+
+const path = require('path');
+const config = require('../../config');
+const createResendTransport = require('./resendTransport');
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createMemoryTransport = require('./memoryTransport');
+const createConsoleTransport = require('./consoleTransport');
+const logger = require('../../utils/logger');
+
+const TRANSPORT_NAMES = ['resend', 'smtp', 'file', 'memory', 'console'];
+
+/**
+ * Create a transport by name from the email settings (config.email)
+ */
+const createTransport = (name, emailConfig = config.email) => {
+  switch (name) {
+    case 'resend':
+      return createResendTransport({ apiKey: emailConfig.resendApiKey });
+    case 'smtp':
+      return createSmtpTransport(emailConfig.smtp);
+    case 'file':
+      return createFileTransport({ directory: path.resolve(emailConfig.fileDir) });
+    case 'memory':
+      return createMemoryTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown email transport: ${name}. Use one of: ${TRANSPORT_NAMES.join(', ')}`);
+  }
+};
+
+/**
+ * Wrap two transports so the secondary is used when the primary throws
+ */
+const createFailoverTransport = (primary, secondary) => ({
+  name: `${primary.name}+${secondary.name}`,
+  transports: [primary, secondary],
+
+  async send(email) {
+    try {
+      return { ...(await primary.send(email)), transport: primary.name };
+    } catch (primaryError) {
+      logger.warn('Email transport failed, falling back', {
+        transport: primary.name,
+        fallback: secondary.name,
+        error: primaryError
+      });
+
+      try {
+        return { ...(await secondary.send(email)), transport: secondary.name };
+      } catch (secondaryError) {
+        throw new Error(`${primary.name}: ${primaryError.message}; ${secondary.name}: ${secondaryError.message}`);
+      }
+    }
+  }
+});
+
+/**
+ * Build the configured transport; returns null when email is not configured.
+ * Without EMAIL_TRANSPORT, Resend is used if RESEND_API_KEY is set (see config).
+ */
+const createTransportFromEnv = (emailConfig = config.email) => {
+  const primaryName = emailConfig.transport;
+  if (!primaryName) return null;
+
+  const primary = createTransport(primaryName, emailConfig);
+  const fallbackName = emailConfig.fallbackTransport;
+
+  if (!fallbackName || fallbackName === primaryName) {
+    return primary;
+  }
+
+  return createFailoverTransport(primary, createTransport(fallbackName, emailConfig));
+};
+
+module.exports = {
+  TRANSPORT_NAMES,
+  createTransport,
+  createFailoverTransport,
+  createTransportFromEnv
+};
@@ -0,0 +1,28 @@
+/**
+ * Memory Transport
+ * Development driver that keeps sent emails in an in-process mailbox
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Newest first; the oldest emails are dropped once the mailbox is full
+const MAILBOX_LIMIT = 200;
+
+const mailbox = [];
+
+const createMemoryTransport = () => ({
+  name: 'memory',
+
+  async send({ from, to, subject, html, text }) {
+    const email = { id: uuidv4(), from, to, subject, html, text, created_at: new Date().toISOString() };
+
+    mailbox.unshift(email);
+    mailbox.splice(MAILBOX_LIMIT);
+
+    return { id: email.id };
+  }
+});
+
+module.exports = createMemoryTransport;
+module.exports.getMailbox = () => mailbox;
+module.exports.clearMailbox = () => mailbox.splice(0);
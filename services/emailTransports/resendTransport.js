@@ -0,0 +1,37 @@
+/**
+ * Resend Transport
+ * Sends email through the Resend API
+ */
+
+const { Resend } = require('resend');
+
+const createResendTransport = ({ apiKey }) => {
+  if (!apiKey) {
+    throw new Error('Resend transport requires RESEND_API_KEY');
+  }
+
+  const resend = new Resend(apiKey);
+
+  return {
+    name: 'resend',
+
+    async send({ from, to, subject, html, text }) {
+      const result = await resend.emails.send({
+        from,
+        to: [to],
+        subject,
+        html,
+        ...(text && { text })
+      });
+
+      // Resend reports API errors in the result instead of throwing
+      if (result && result.error) {
+        throw new Error(result.error.message || 'Email provider rejected the message');
+      }
+
+      return { id: result && result.data ? result.data.id : null };
+    }
+  };
+};
+
+module.exports = createResendTransport;
@@ -0,0 +1,30 @@
+/**
+ * SMTP Transport
+ * Sends email through any SMTP server via nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP transport requires SMTP_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ from, to, subject, html, text }) {
+      const info = await transporter.sendMail({ from, to, subject, html, ...(text && { text }) });
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
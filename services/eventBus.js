@@ -0,0 +1,46 @@
+/**
+ * Event Bus
+ * In-process domain events published by services; sockets/events.js forwards them to the dashboard
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+// Domain events and the payload each one is published with
+const EVENTS = {
+  MESSAGE_CREATED: 'message.created', // { message }
+  MESSAGE_UPDATED: 'message.updated', // { message, changes: [field names] }
+  PROJECT_UPDATED: 'project.updated', // { project, changes: [field names] }
+  PROJECT_STATUS_CHANGED: 'project.status_changed', // { project, from, to }
+  PROJECT_UPDATE_ADDED: 'project.update_added', // { project, update }
+  CONVERSATION_MESSAGE_CREATED: 'conversation.message_created', // { message }
+  EMAIL_FAILED: 'email.failed', // { email, error, attempts, willRetry }
+  NOTIFICATION_CREATED: 'notification.created' // { notification }
+};
+
+class EventBus extends EventEmitter {
+  /**
+   * Publish a domain event; a failing listener never breaks the operation that published it
+   */
+  publish(event, payload) {
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      logger.error('Event listener failed', { event, error });
+    }
+  }
+
+  /**
+   * Subscribe an async handler; its failures are logged instead of becoming unhandled rejections
+   */
+  subscribe(event, handler) {
+    this.on(event, (payload) => {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch(error => logger.error('Event listener failed', { event, error }));
+    });
+  }
+}
+
+module.exports = new EventBus();
+module.exports.EVENTS = EVENTS;
@@ -0,0 +1,74 @@
+/**
+ * Lead Service
+ * Turns inbound contact messages into clients and projects
+ */
+
+const messageService = require('./messageService');
+const clientService = require('./clientService');
+const projectService = require('./projectService');
+const { ApiError } = require('../utils/errors');
+
+class LeadService {
+  /**
+   * Convert a message into a client (matched by email or created) and,
+   * optionally, a draft project; the message is marked as converted and linked to both
+   */
+  async convertMessage(messageId, { createProject = false, project = {}, sendWelcome = true } = {}, actorId = null) {
+    const message = await messageService.getMessage(messageId);
+
+    // The status can change after conversion (replies, inbox edits); the links cannot
+    if (message.status === 'converted' || message.converted_at || message.client_id) {
+      throw new ApiError('Message has already been converted', 409, 'ALREADY_CONVERTED', {
+        client_id: message.client_id || null,
+        project_id: message.project_id || null
+      });
+    }
+
+    let client = await clientService.findByEmail(message.email);
+    const clientCreated = !client;
+
+    if (!client) {
+      client = await clientService.createClient(
+        { name: message.name, email: message.email },
+        { sendWelcome }
+      );
+    }
+
+    let createdProject = null;
+    if (createProject) {
+      createdProject = await projectService.createProject({
+        name: project.name || `Proiect ${client.name}`,
+        description: project.description || message.message,
+        budget: project.budget,
+        deadline: project.deadline,
+        assigned_to: project.assigned_to,
+        client_id: client.id,
+        client_name: client.name,
+        client_email: client.email
+      }, actorId);
+
+      await projectService.addUpdate(createdProject.id, {
+        message: 'Project created from contact message',
+        type: 'created',
+        authorId: actorId,
+        metadata: { message_id: message.id }
+      });
+    }
+
+    const updatedMessage = await messageService.updateMessage(message.id, {
+      status: 'converted',
+      client_id: client.id,
+      project_id: createdProject ? createdProject.id : null,
+      converted_at: new Date().toISOString()
+    });
+
+    return {
+      message: updatedMessage,
+      client,
+      project: createdProject,
+      clientCreated
+    };
+  }
+}
+
+module.exports = new LeadService();
@@ -0,0 +1,270 @@
+/**
+ * Message Service
+ * Contact-form messages, replies and inbox workflow
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const repositories = require('../repositories');
+const emailService = require('./emailService');
+const eventBus = require('./eventBus');
+const { NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const { EVENTS } = eventBus;
+const { messages, messageReplies } = repositories;
+
+// Statuses a team member can set on a message ('converted' is set by the lead conversion)
+const MESSAGE_STATUSES = ['new', 'read', 'in_progress', 'replied', 'spam', 'archived'];
+
+// Columns the inbox can be sorted by
+const MESSAGE_SORT_FIELDS = ['created_at', 'updated_at', 'name', 'email', 'status'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class MessageService {
+  /**
+   * Map a Supabase row to the API format ('content' column -> 'message')
+   */
+  formatMessage(row) {
+    const { content, ...fields } = row;
+    return { ...fields, message: content };
+  }
+
+  /**
+   * Map API fields to Supabase columns ('message' -> 'content' column)
+   */
+  toRow(fields) {
+    const { message, ...row } = fields;
+    return message === undefined ? row : { ...row, content: message };
+  }
+
+  /**
+   * List messages with filters, search, sorting and page-based pagination
+   * Returns { messages, total, source } where source is 'supabase' or 'memory'
+   */
+  async listMessages({
+    status,
+    assignedTo,
+    from,
+    to,
+    search,
+    sort = 'created_at',
+    order = 'desc',
+    page = 1,
+    limit = DEFAULT_PAGE_SIZE
+  } = {}) {
+    const where = { deleted_at: null };
+    if (status) where.status = status;
+    if (assignedTo) where.assigned_to = assignedTo;
+    if (from || to) {
+      where.created_at = {};
+      if (from) where.created_at.gte = from;
+      if (to) where.created_at.lte = to;
+    }
+
+    const { rows, total } = await messages.findPage({
+      where,
+      search: search ? { term: search, columns: ['name', 'email', 'content'] } : null,
+      order: { column: sort, ascending: order === 'asc' },
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return { messages: rows.map(row => this.formatMessage(row)), total, source: repositories.backend };
+  }
+
+  /**
+   * List messages sent from an email address, newest first; addresses are
+   * stored lowercased, so this is an exact match
+   */
+  async findByEmail(email) {
+    const rows = await messages.find({
+      where: { email: String(email || '').trim().toLowerCase(), deleted_at: null },
+      order: { column: 'created_at', ascending: false }
+    });
+    return rows.map(row => this.formatMessage(row));
+  }
+
+  /**
+   * Get a message by id or throw NotFoundError
+   */
+  async getMessage(id) {
+    const row = await messages.findOne({ id, deleted_at: null });
+    if (!row) throw new NotFoundError('Message not found');
+    return this.formatMessage(row);
+  }
+
+  /**
+   * Update a message and return it in API format
+   */
+  async updateMessage(id, changes) {
+    const row = await messages.updateOne({ id, deleted_at: null }, this.toRow(changes));
+    if (!row) throw new NotFoundError('Message not found');
+    return this.publishUpdate(this.formatMessage(row), changes);
+  }
+
+  /**
+   * Notify listeners of a message change and return the message
+   */
+  publishUpdate(message, changes) {
+    eventBus.publish(EVENTS.MESSAGE_UPDATED, {
+      message,
+      changes: Object.keys(changes).filter(key => key !== 'updated_at')
+    });
+    return message;
+  }
+
+  /**
+   * Apply inbox changes to a message: status, assignee and an internal note
+   */
+  async patchMessage(id, { status, assignedTo, note }, actorId = null) {
+    const message = await this.getMessage(id);
+    const changes = {};
+
+    if (status !== undefined) changes.status = status;
+    if (assignedTo !== undefined) changes.assigned_to = assignedTo;
+    if (note) {
+      changes.notes = [
+        ...(message.notes || []),
+        {
+          id: uuidv4(),
+          author_id: actorId,
+          body: note,
+          created_at: new Date().toISOString()
+        }
+      ];
+    }
+
+    changes.updated_at = new Date().toISOString();
+    return this.updateMessage(message.id, changes);
+  }
+
+  /**
+   * Soft-delete a message; it disappears from the inbox but stays in storage
+   */
+  async deleteMessage(id, actorId = null) {
+    return this.updateMessage(id, {
+      deleted_at: new Date().toISOString(),
+      deleted_by: actorId
+    });
+  }
+
+  /**
+   * Get the replies sent for a message, oldest first
+   */
+  async listReplies(messageId) {
+    return messageReplies.find({
+      where: { message_id: messageId },
+      order: { column: 'created_at', ascending: true }
+    });
+  }
+
+  /**
+   * Email a reply to the sender of a message and store it on the thread;
+   * the message becomes 'replied' once the email is queued for delivery,
+   * unless it was converted into a client
+   */
+  async replyToMessage(id, { body, subject }, author = {}) {
+    const message = await this.getMessage(id);
+    const replySubject = subject || 'Re: Mesajul tău către Sales Resolve';
+
+    const result = await emailService.sendMessageReply(message, {
+      subject: replySubject,
+      body,
+      authorName: author.name
+    });
+
+    const reply = await messageReplies.insert({
+      id: uuidv4(),
+      message_id: message.id,
+      author_id: author.id || null,
+      author_name: author.name || null,
+      to_email: message.email,
+      subject: replySubject,
+      body,
+      email_status: result.success ? 'queued' : 'failed',
+      email_id: result.success ? result.id : null,
+      email_error: result.success ? null : result.error,
+      created_at: new Date().toISOString()
+    });
+
+    const updatedMessage = result.success && message.status !== 'converted'
+      ? await this.updateMessage(message.id, { status: 'replied', updated_at: new Date().toISOString() })
+      : message;
+
+    return { reply, message: updatedMessage };
+  }
+
+  /**
+   * Find a non-deleted message with the same sender and text submitted since a date
+   */
+  async findDuplicate({ email, message, since }) {
+    const row = await messages.findOne({
+      email,
+      content: message,
+      created_at: { gte: since },
+      deleted_at: null
+    });
+    return row ? this.formatMessage(row) : null;
+  }
+
+  /**
+   * Counts of messages flagged as spam: total, last 24 hours, last 7 days and by reason
+   */
+  async getSpamStats() {
+    const flagged = await messages.find({ where: { status: 'spam', deleted_at: null } });
+
+    const now = Date.now();
+    const since = hours => new Date(now - hours * 60 * 60 * 1000).toISOString();
+    const byReason = {};
+
+    flagged.forEach((item) => {
+      (item.spam_reasons || ['manual']).forEach((reason) => {
+        const key = reason.startsWith('keyword:') ? 'keyword' : reason;
+        byReason[key] = (byReason[key] || 0) + 1;
+      });
+    });
+
+    return {
+      total: flagged.length,
+      last24h: flagged.filter(item => item.created_at >= since(24)).length,
+      last7d: flagged.filter(item => item.created_at >= since(24 * 7)).length,
+      byReason
+    };
+  }
+
+  /**
+   * Store a new message; flagged submissions are stored with status 'spam'.
+   * The id may be chosen beforehand, to store the message's files first.
+   * Returns { message, source } where source is the data store ('supabase' or 'memory')
+   */
+  async createMessage({ id = uuidv4(), name, email, message, spam = null }) {
+    const status = spam && spam.isSpam ? 'spam' : 'new';
+
+    const saved = this.formatMessage(await messages.insert({
+      id,
+      name,
+      email,
+      content: message,
+      status,
+      spam_score: spam ? spam.score : null,
+      spam_reasons: spam && spam.reasons.length ? spam.reasons : null,
+      assigned_to: null,
+      notes: [],
+      deleted_at: null,
+      created_at: new Date().toISOString()
+    }));
+
+    logger.info('Message saved', { messageId: saved.id, status, source: repositories.backend });
+    eventBus.publish(EVENTS.MESSAGE_CREATED, { message: saved });
+
+    return { message: saved, source: repositories.backend };
+  }
+}
+
+module.exports = new MessageService();
+module.exports.MESSAGE_STATUSES = MESSAGE_STATUSES;
+module.exports.MESSAGE_SORT_FIELDS = MESSAGE_SORT_FIELDS;
+module.exports.DEFAULT_PAGE_SIZE = DEFAULT_PAGE_SIZE;
+module.exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
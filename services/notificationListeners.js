@@ -0,0 +1,100 @@
+/**
+ * Notification Listeners
+ * Turn domain events into notifications for the users concerned
+ */
+
+const eventBus = require('./eventBus');
+const authService = require('./authService');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+
+const { EVENTS } = eventBus;
+
+const STAFF_ROLES = ['admin', 'team'];
+
+const excerpt = (text, length = 200) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const findUsers = async (ids) => {
+  const users = await Promise.all([...new Set(ids)].map(id => authService.findUserById(id)));
+  return users.filter(Boolean);
+};
+
+/**
+ * New contact message: alert every admin and team member; without any staff
+ * accounts the alert goes to ADMIN_EMAIL as before. Messages flagged as spam
+ * stay in the inbox without an alert
+ */
+const onMessageCreated = async ({ message }) => {
+  if (message.status === 'spam') return;
+
+  const staff = await authService.listUsers({ roles: STAFF_ROLES });
+
+  if (!staff.length) {
+    await emailService.sendNewMessageNotification(message);
+    return;
+  }
+
+  await notificationService.notify(staff, {
+    type: 'new_lead',
+    title: `Mesaj nou de la ${message.name}`,
+    body: excerpt(message.message),
+    entityType: 'message',
+    entityId: message.id
+  }, {
+    email: user => emailService.sendNewMessageNotification(message, user.email)
+  });
+};
+
+const onMessageUpdated = async ({ message, changes }) => {
+  if (!changes.includes('assigned_to') || !message.assigned_to) return;
+
+  await notificationService.notify(await findUsers([message.assigned_to]), {
+    type: 'message_assigned',
+    title: `Ți-a fost atribuit mesajul de la ${message.name}`,
+    body: excerpt(message.message),
+    entityType: 'message',
+    entityId: message.id
+  });
+};
+
+const onProjectStatusChanged = async ({ project, from, to }) => {
+  await notificationService.notify(await findUsers(project.assigned_to || []), {
+    type: 'project_status_changed',
+    title: `Proiectul ${project.name} este acum ${to}`,
+    body: `Statusul s-a schimbat din ${from} în ${to}.`,
+    entityType: 'project',
+    entityId: project.id,
+    data: { from, to }
+  });
+};
+
+/**
+ * Client message in the portal: notify the assigned team members, or the admins when nobody is assigned
+ */
+const onConversationMessage = async ({ message }) => {
+  if (message.author_role !== 'client') return;
+
+  const recipients = message.recipient_ids.length
+    ? await findUsers(message.recipient_ids)
+    : await authService.listUsers({ roles: ['admin'] });
+
+  await notificationService.notify(recipients, {
+    type: 'client_reply',
+    title: `Mesaj nou de la ${message.author_name || 'client'}`,
+    body: excerpt(message.body),
+    entityType: 'client',
+    entityId: message.client_id,
+    data: { projectId: message.project_id }
+  });
+};
+
+const registerNotificationListeners = () => {
+  eventBus.subscribe(EVENTS.MESSAGE_CREATED, onMessageCreated);
+  eventBus.subscribe(EVENTS.MESSAGE_UPDATED, onMessageUpdated);
+  eventBus.subscribe(EVENTS.PROJECT_STATUS_CHANGED, onProjectStatusChanged);
+  eventBus.subscribe(EVENTS.CONVERSATION_MESSAGE_CREATED, onConversationMessage);
+};
+
+module.exports = {
+  registerNotificationListeners
+};
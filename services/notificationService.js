@@ -0,0 +1,147 @@
+/**
+ * Notification Service
+ * Per-user notifications delivered in-app (stored + Socket.IO), by email, or both
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { notifications, notificationPreferences } = require('../repositories');
+const emailService = require('./emailService');
+const eventBus = require('./eventBus');
+const { NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const { EVENTS } = eventBus;
+
+const NOTIFICATION_TYPES = ['new_lead', 'message_assigned', 'project_status_changed', 'client_reply'];
+
+const NOTIFICATION_CHANNELS = ['email', 'in_app', 'both'];
+
+// Channel used for each type until the user chooses otherwise
+const DEFAULT_PREFERENCES = {
+  new_lead: 'both',
+  message_assigned: 'both',
+  project_status_changed: 'in_app',
+  client_reply: 'both'
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+
+class NotificationService {
+  /**
+   * List a user's notifications, newest first, with the total unread count
+   */
+  async listNotifications(userId, { unreadOnly = false, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const { rows, total } = await notifications.findPage({
+      where: unreadOnly ? { user_id: userId, read_at: null } : { user_id: userId },
+      order: { column: 'created_at', ascending: false },
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return { notifications: rows, total, unread: await this.countUnread(userId) };
+  }
+
+  /**
+   * Count a user's unread notifications
+   */
+  async countUnread(userId) {
+    return notifications.count({ user_id: userId, read_at: null });
+  }
+
+  /**
+   * Mark one of the user's notifications as read
+   */
+  async markRead(userId, id) {
+    const notification = await notifications.findOne({ id, user_id: userId });
+    if (!notification) throw new NotFoundError('Notification not found');
+    if (notification.read_at) return notification;
+
+    return notifications.updateOne({ id }, { read_at: new Date().toISOString() });
+  }
+
+  /**
+   * Mark all of the user's notifications as read; returns how many changed
+   */
+  async markAllRead(userId) {
+    const readAt = new Date().toISOString();
+    const updated = await notifications.update({ user_id: userId, read_at: null }, { read_at: readAt });
+
+    return { updated: updated.length, readAt };
+  }
+
+  /**
+   * A user's channel for every notification type, defaults filled in
+   */
+  async getPreferences(userId) {
+    const stored = await notificationPreferences.findOne({ user_id: userId });
+    return { ...DEFAULT_PREFERENCES, ...((stored && stored.preferences) || {}) };
+  }
+
+  /**
+   * Change the channel of one or more notification types
+   */
+  async updatePreferences(userId, changes) {
+    const preferences = { ...(await this.getPreferences(userId)), ...changes };
+
+    await notificationPreferences.upsert(
+      { user_id: userId, preferences, updated_at: new Date().toISOString() },
+      { onConflict: 'user_id' }
+    );
+
+    return preferences;
+  }
+
+  /**
+   * Notify users according to their preferences. `email` optionally overrides
+   * how the email is sent (e.g. lead alerts use the new-message template).
+   */
+  async notify(users, { type, title, body, entityType = null, entityId = null, data = null }, { email } = {}) {
+    const delivered = [];
+
+    for (const user of users) {
+      const channel = (await this.getPreferences(user.id))[type];
+      const notification = {
+        id: uuidv4(),
+        user_id: user.id,
+        type,
+        title,
+        body,
+        entity_type: entityType,
+        entity_id: entityId,
+        data,
+        read_at: null,
+        created_at: new Date().toISOString()
+      };
+
+      if (channel === 'in_app' || channel === 'both') {
+        delivered.push(await this.store(notification));
+      }
+
+      if (channel === 'email' || channel === 'both') {
+        const result = email
+          ? await email(user)
+          : await emailService.sendNotificationEmail(user, notification);
+
+        if (!result.success) {
+          logger.error('Notification email failed', { userId: user.id, error: result.error });
+        }
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Save an in-app notification and announce it for real-time delivery
+   */
+  async store(notification) {
+    const saved = await notifications.insert(notification);
+    eventBus.publish(EVENTS.NOTIFICATION_CREATED, { notification: saved });
+    return saved;
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+module.exports.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+module.exports.DEFAULT_PREFERENCES = DEFAULT_PREFERENCES;
@@ -0,0 +1,225 @@
+/**
+ * Project Service
+ * Projects, status workflow and update timeline
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { projects, projectUpdates } = require('../repositories');
+const emailService = require('./emailService');
+const attachmentService = require('./attachmentService');
+const eventBus = require('./eventBus');
+const { ApiError, NotFoundError } = require('../utils/errors');
+
+const { EVENTS } = eventBus;
+
+// Allowed status transitions; archived is terminal
+const STATUS_TRANSITIONS = {
+  lead: ['proposal', 'archived'],
+  proposal: ['lead', 'in_progress', 'archived'],
+  in_progress: ['review', 'archived'],
+  review: ['in_progress', 'delivered'],
+  delivered: ['review', 'archived'],
+  archived: []
+};
+
+const PROJECT_STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Fields callers may set on create/update; status changes go through changeStatus
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'client_id',
+  'client_name',
+  'client_email',
+  'budget',
+  'deadline',
+  'assigned_to'
+];
+
+const pickEditable = (data) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (data[key] !== undefined) fields[key] = data[key];
+  return fields;
+}, {});
+
+class ProjectService {
+  /**
+   * List projects, optionally filtered by status, client or assignee
+   */
+  async listProjects({ status, clientId, assignedTo } = {}) {
+    const where = {};
+    if (status) where.status = status;
+    if (clientId) where.client_id = clientId;
+    if (assignedTo) where.assigned_to = { contains: [assignedTo] };
+
+    return projects.find({ where, order: { column: 'created_at', ascending: false } });
+  }
+
+  /**
+   * Get a project by id or throw NotFoundError
+   */
+  async getProject(id) {
+    const project = await projects.findOne({ id });
+    if (!project) throw new NotFoundError('Project not found');
+    return project;
+  }
+
+  /**
+   * Create a project; new projects start in the first workflow status
+   */
+  async createProject(data, createdBy = null) {
+    const now = new Date().toISOString();
+    return projects.insert({
+      id: uuidv4(),
+      description: null,
+      client_id: null,
+      client_name: null,
+      client_email: null,
+      budget: null,
+      deadline: null,
+      ...pickEditable(data),
+      assigned_to: data.assigned_to || [],
+      status: 'lead',
+      created_by: createdBy,
+      created_at: now,
+      updated_at: now
+    });
+  }
+
+  /**
+   * Update editable project fields
+   */
+  async updateProject(id, data) {
+    await this.getProject(id);
+    const changes = pickEditable(data);
+    const project = await this.saveProject(id, changes);
+
+    if (Object.keys(changes).length) {
+      eventBus.publish(EVENTS.PROJECT_UPDATED, { project, changes: Object.keys(changes) });
+    }
+    return project;
+  }
+
+  async saveProject(id, changes) {
+    return projects.updateOne({ id }, { ...changes, updated_at: new Date().toISOString() });
+  }
+
+  /**
+   * Fields of a project that its client may see
+   */
+  toClientView(project) {
+    return {
+      id: project.id,
+      name: project.name,
+      description: project.description,
+      status: project.status,
+      budget: project.budget,
+      deadline: project.deadline,
+      created_at: project.created_at,
+      updated_at: project.updated_at
+    };
+  }
+
+  /**
+   * Check whether a project may move from one status to another
+   */
+  canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Throw unless the workflow allows moving from one status to the other
+   */
+  assertTransition(from, to) {
+    if (!PROJECT_STATUSES.includes(to)) {
+      throw new ApiError(`Unknown status: ${to}`, 400, 'VALIDATION_ERROR');
+    }
+
+    if (!this.canTransition(from, to)) {
+      throw new ApiError(
+        `Cannot change status from ${from} to ${to}`,
+        409,
+        'INVALID_STATUS_TRANSITION',
+        { from, to, allowed: STATUS_TRANSITIONS[from] }
+      );
+    }
+  }
+
+  /**
+   * Move a project through the status workflow and record it on the timeline
+   */
+  async changeStatus(id, status, { authorId = null, message = null, notifyClient = false } = {}) {
+    const project = await this.getProject(id);
+    const from = project.status;
+
+    this.assertTransition(from, status);
+
+    const updated = await this.saveProject(id, { status });
+
+    await this.addUpdate(id, {
+      message: message || `Status changed from ${from} to ${status}`,
+      type: 'status_change',
+      authorId,
+      notifyClient,
+      metadata: { from, to: status }
+    });
+
+    eventBus.publish(EVENTS.PROJECT_STATUS_CHANGED, { project: updated, from, to: status });
+    return updated;
+  }
+
+  /**
+   * Delete a project and its timeline
+   */
+  async deleteProject(id) {
+    await this.getProject(id);
+    await attachmentService.deleteForEntity('project', id);
+    await projectUpdates.remove({ project_id: id });
+    await projects.remove({ id });
+  }
+
+  /**
+   * Get the update timeline for a project, oldest first
+   */
+  async listUpdates(projectId) {
+    return projectUpdates.find({
+      where: { project_id: projectId },
+      order: { column: 'created_at', ascending: true }
+    });
+  }
+
+  /**
+   * Add an update to the project timeline, optionally emailing the client
+   */
+  async addUpdate(projectId, { message, type = 'note', authorId = null, notifyClient = false, metadata = null }) {
+    const project = await this.getProject(projectId);
+
+    const update = {
+      id: uuidv4(),
+      project_id: projectId,
+      type,
+      message,
+      author_id: authorId,
+      metadata,
+      client_notified: false,
+      created_at: new Date().toISOString()
+    };
+
+    if (notifyClient && project.client_email) {
+      const result = await emailService.sendProjectUpdateEmail(
+        project.client_email,
+        project.client_name || project.client_email,
+        project.name,
+        message
+      );
+      update.client_notified = result.success;
+    }
+
+    const saved = await projectUpdates.insert(update);
+    eventBus.publish(EVENTS.PROJECT_UPDATE_ADDED, { project, update: saved });
+    return saved;
+  }
+}
+
+module.exports = new ProjectService();
+module.exports.PROJECT_STATUSES = PROJECT_STATUSES;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
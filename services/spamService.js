@@ -0,0 +1,63 @@
+/**
+ * Spam Service
+ * Scores contact-form submissions by keywords, link count and the honeypot field
+ */
+
+const config = require('../config');
+
+const DEFAULT_KEYWORDS = [
+  'casino',
+  'viagra',
+  'crypto',
+  'bitcoin',
+  'forex',
+  'loan',
+  'seo services',
+  'backlinks',
+  'porn',
+  'escort'
+];
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+class SpamService {
+  constructor() {
+    this.keywords = config.spam.keywords || DEFAULT_KEYWORDS;
+    this.keywordScore = config.spam.keywordScore;
+    this.maxLinks = config.spam.maxLinks;
+    this.linkScore = config.spam.linkScore;
+    this.threshold = config.spam.threshold;
+  }
+
+  /**
+   * Score a submission; returns { score, reasons, isSpam }
+   * A filled honeypot field is always spam
+   */
+  scoreMessage({ name = '', email = '', message = '', honeypot = '' }) {
+    const reasons = [];
+    let score = 0;
+
+    if (honeypot) {
+      reasons.push('honeypot');
+      score += this.threshold;
+    }
+
+    const text = `${name} ${email} ${message}`.toLowerCase();
+    this.keywords
+      .filter(keyword => text.includes(keyword))
+      .forEach((keyword) => {
+        reasons.push(`keyword:${keyword}`);
+        score += this.keywordScore;
+      });
+
+    const links = (message.match(LINK_PATTERN) || []).length;
+    if (links > this.maxLinks) {
+      reasons.push('links');
+      score += (links - this.maxLinks) * this.linkScore;
+    }
+
+    return { score, reasons, isSpam: score >= this.threshold };
+  }
+}
+
+module.exports = new SpamService();
@@ -0,0 +1,43 @@
+/**
+ * File Storage
+ * Builds the storage backend chosen by STORAGE_DRIVER for uploaded attachments
+ */
+
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createSupabaseStorage = require('./supabaseStorage');
+const config = require('../../config');
+const { supabase, isSupabaseConfigured } = require('../../config/supabase');
+
+const STORAGE_DRIVERS = ['local', 'supabase'];
+
+/**
+ * Create a storage backend by name from the storage settings (config.storage)
+ */
+const createStorage = (name, storageConfig = config.storage) => {
+  switch (name) {
+    case 'local':
+      return createLocalStorage({ directory: path.resolve(storageConfig.localDir) });
+    case 'supabase':
+      return createSupabaseStorage({
+        supabase: isSupabaseConfigured ? supabase : null,
+        bucket: storageConfig.bucket
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${name}. Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+};
+
+/**
+ * Build the configured backend. Without STORAGE_DRIVER, Supabase Storage is
+ * used when Supabase is configured and the local disk otherwise.
+ */
+const createStorageFromEnv = (storageConfig = config.storage) => (
+  createStorage(storageConfig.driver || (isSupabaseConfigured ? 'supabase' : 'local'), storageConfig)
+);
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createStorage,
+  createStorageFromEnv
+};
@@ -0,0 +1,38 @@
+/**
+ * Local Storage
+ * Development driver that keeps uploaded files in a local directory
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const createLocalStorage = ({ directory }) => {
+  // Keys are generated by the attachment service; never resolve outside the directory
+  const resolve = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+
+    async read(key) {
+      return fs.readFile(resolve(key));
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
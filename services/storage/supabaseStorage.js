@@ -0,0 +1,34 @@
+/**
+ * Supabase Storage
+ * Production driver that keeps uploaded files in a private Supabase Storage bucket
+ */
+
+const createSupabaseStorage = ({ supabase, bucket }) => {
+  if (!supabase) {
+    throw new Error('Supabase storage requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  const files = () => supabase.storage.from(bucket);
+
+  return {
+    name: 'supabase',
+
+    async save(key, buffer, { contentType } = {}) {
+      const { error } = await files().upload(key, buffer, { contentType, upsert: false });
+      if (error) throw error;
+    },
+
+    async read(key) {
+      const { data, error } = await files().download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(key) {
+      const { error } = await files().remove([key]);
+      if (error) throw error;
+    }
+  };
+};
+
+module.exports = createSupabaseStorage;
@@ -0,0 +1,107 @@
+/**
+ * Dashboard Events
+ * Forwards domain events from the event bus to Socket.IO rooms
+ *
+ * Staff sockets are placed in the team room on connect; clients receive events
+ * for their own projects in their client-<id> room after joining it.
+ */
+
+const eventBus = require('../services/eventBus');
+const projectService = require('../services/projectService');
+const { TEAM_ROOM, userRoom } = require('./rooms');
+
+const { EVENTS } = eventBus;
+
+/**
+ * Event catalogue: Socket.IO event name -> rooms it is sent to and payload shape
+ */
+const DASHBOARD_EVENTS = {
+  // New contact-form message. Room: team. Payload: { message }
+  INBOX_MESSAGE_CREATED: 'inbox-message-created',
+  // Contact-form message changed (status, assignee, notes, deletion). Room: team. Payload: { message, changes }
+  INBOX_MESSAGE_UPDATED: 'inbox-message-updated',
+  // Project fields edited. Rooms: team (full project), client-<id> (client view). Payload: { project, changes }
+  PROJECT_UPDATED: 'project-updated',
+  // Project moved through the workflow. Rooms: team, client-<id>. Payload: { project, from, to }
+  PROJECT_STATUS_CHANGED: 'project-status-changed',
+  // Entry added to a project timeline. Rooms: team, client-<id>. Payload: { projectId, update }
+  PROJECT_UPDATE_ADDED: 'project-update-added',
+  // Chat message, sent through Socket.IO or the REST API. Room: the message's room. Payload: the message
+  MESSAGE_RECEIVED: 'message-received',
+  // Outgoing email attempt failed. Room: team. Payload: { id, to, subject, error, attempts, willRetry }
+  EMAIL_FAILED: 'email-failed',
+  // In-app notification for one user. Room: user-<id>. Payload: { notification }
+  NOTIFICATION_CREATED: 'notification-created'
+};
+
+// Timeline fields a client may see (internal metadata and authors are left out)
+const toClientUpdate = ({ id, type, message, created_at }) => ({ id, type, message, created_at });
+
+/**
+ * Send an event to the team and, when the project belongs to a client, a client-safe copy to the client room
+ */
+const emitProjectEvent = (io, event, project, teamPayload, clientPayload) => {
+  io.to(TEAM_ROOM).emit(event, teamPayload);
+
+  if (project.client_id) {
+    io.to(`client-${project.client_id}`).emit(event, clientPayload);
+  }
+};
+
+const registerEventForwarding = (io) => {
+  eventBus.on(EVENTS.MESSAGE_CREATED, ({ message }) => {
+    io.to(TEAM_ROOM).emit(DASHBOARD_EVENTS.INBOX_MESSAGE_CREATED, { message });
+  });
+
+  eventBus.on(EVENTS.MESSAGE_UPDATED, ({ message, changes }) => {
+    io.to(TEAM_ROOM).emit(DASHBOARD_EVENTS.INBOX_MESSAGE_UPDATED, { message, changes });
+  });
+
+  eventBus.on(EVENTS.PROJECT_UPDATED, ({ project, changes }) => {
+    emitProjectEvent(io, DASHBOARD_EVENTS.PROJECT_UPDATED, project,
+      { project, changes },
+      { project: projectService.toClientView(project), changes });
+  });
+
+  eventBus.on(EVENTS.PROJECT_STATUS_CHANGED, ({ project, from, to }) => {
+    emitProjectEvent(io, DASHBOARD_EVENTS.PROJECT_STATUS_CHANGED, project,
+      { project, from, to },
+      { project: projectService.toClientView(project), from, to });
+  });
+
+  eventBus.on(EVENTS.PROJECT_UPDATE_ADDED, ({ project, update }) => {
+    emitProjectEvent(io, DASHBOARD_EVENTS.PROJECT_UPDATE_ADDED, project,
+      { projectId: project.id, update },
+      { projectId: project.id, update: toClientUpdate(update) });
+  });
+
+  eventBus.on(EVENTS.CONVERSATION_MESSAGE_CREATED, ({ message }) => {
+    const { recipient_ids, ...chatMessage } = message;
+
+    io.to(message.room).emit(DASHBOARD_EVENTS.MESSAGE_RECEIVED, {
+      ...chatMessage,
+      roomId: message.room,
+      timestamp: message.created_at
+    });
+  });
+
+  eventBus.on(EVENTS.EMAIL_FAILED, ({ email, error, attempts, willRetry }) => {
+    io.to(TEAM_ROOM).emit(DASHBOARD_EVENTS.EMAIL_FAILED, {
+      id: email.id,
+      to: email.to_email,
+      subject: email.subject,
+      error,
+      attempts,
+      willRetry
+    });
+  });
+
+  eventBus.on(EVENTS.NOTIFICATION_CREATED, ({ notification }) => {
+    io.to(userRoom(notification.user_id)).emit(DASHBOARD_EVENTS.NOTIFICATION_CREATED, { notification });
+  });
+};
+
+module.exports = {
+  DASHBOARD_EVENTS,
+  registerEventForwarding
+};
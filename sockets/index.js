@@ -0,0 +1,203 @@
+/**
+ * Socket.IO Handlers
+ * Authenticated real-time chat with persisted history, typing indicators and read receipts
+ */
+
+const authService = require('../services/authService');
+const conversationService = require('../services/conversationService');
+const projectService = require('../services/projectService');
+const { getBearerToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { TEAM_ROOM, userRoom, parseRoom, canJoinRoom } = require('./rooms');
+const { registerEventForwarding } = require('./events');
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+/**
+ * Authenticate the connection with the same access token as the HTTP API,
+ * sent as `auth: { token }` or an Authorization: Bearer header
+ */
+const authenticateSocket = (socket, next) => {
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || getBearerToken(socket.handshake);
+
+  if (!token) {
+    const error = new Error('Authentication required');
+    error.data = { code: 'AUTH_ERROR' };
+    return next(error);
+  }
+
+  try {
+    const payload = authService.verifyAccessToken(token);
+    socket.data.user = {
+      id: payload.sub,
+      email: payload.email,
+      role: payload.role,
+      name: payload.name,
+      clientId: payload.client_id || null
+    };
+    next();
+  } catch (error) {
+    const authError = new Error(error.message);
+    authError.data = { code: 'AUTH_ERROR' };
+    next(authError);
+  }
+};
+
+/**
+ * Answer through the acknowledgement callback when given, otherwise emit chat-error for failures
+ */
+const respond = (socket, event, ack, payload) => {
+  if (typeof ack === 'function') return ack(payload);
+  if (!payload.ok) socket.emit('chat-error', { event, ...payload });
+};
+
+/**
+ * Accept a plain string or an object with body/text/content as message text
+ */
+const getMessageBody = (message) => {
+  const body = typeof message === 'string'
+    ? message
+    : message && (message.body || message.text || message.content);
+
+  return typeof body === 'string' ? body.trim() : '';
+};
+
+// recipient_ids is internal routing data and is not sent to chat clients
+const toChatMessage = ({ recipient_ids, ...message }) => message;
+
+/**
+ * Client and project ids a room's messages are stored under
+ */
+const getRoomScope = async (room) => {
+  const { type, id } = parseRoom(room);
+
+  if (type === 'client') return { clientId: id, projectId: null };
+  if (type === 'project') {
+    const project = await projectService.getProject(id);
+    return { clientId: project.client_id, projectId: project.id };
+  }
+  return { clientId: null, projectId: null };
+};
+
+const registerSocketHandlers = (io) => {
+  io.use(authenticateSocket);
+  registerEventForwarding(io);
+
+  io.on('connection', (socket) => {
+    const { user } = socket.data;
+    logger.info('Socket connected', { socketId: socket.id, userId: user.id, role: user.role });
+
+    // Personal notifications; staff also receive dashboard events without joining explicitly
+    socket.join(userRoom(user.id));
+    if (user.role !== 'client') {
+      socket.join(TEAM_ROOM);
+    }
+
+    // Join a room after checking membership server-side; replies with recent history
+    socket.on('join-room', async (data = {}, ack) => {
+      const roomId = data.roomId || (user.role === 'client' ? `client-${user.clientId}` : TEAM_ROOM);
+
+      try {
+        if (!(await canJoinRoom(user, roomId))) {
+          return respond(socket, 'join-room', ack, { ok: false, error: 'Access to room denied', code: 'FORBIDDEN' });
+        }
+
+        socket.join(roomId);
+        const history = (await conversationService.listRoom(roomId)).map(toChatMessage);
+
+        socket.emit('room-history', { roomId, messages: history });
+        respond(socket, 'join-room', ack, { ok: true, roomId, history });
+
+        logger.debug('Socket joined room', { socketId: socket.id, userId: user.id, roomId });
+      } catch (error) {
+        logger.error('join-room failed', { socketId: socket.id, roomId, error });
+        respond(socket, 'join-room', ack, { ok: false, error: 'Could not join room', code: 'INTERNAL_ERROR' });
+      }
+    });
+
+    socket.on('leave-room', (data = {}) => {
+      socket.leave(data.roomId);
+    });
+
+    // Persist a chat message and broadcast it to the room
+    socket.on('new-message', async (data = {}, ack) => {
+      const { roomId } = data;
+      const body = getMessageBody(data.message);
+
+      if (!roomId || !socket.rooms.has(roomId)) {
+        return respond(socket, 'new-message', ack, { ok: false, error: 'Join the room first', code: 'FORBIDDEN' });
+      }
+      if (!body || body.length > MAX_MESSAGE_LENGTH) {
+        return respond(socket, 'new-message', ack, {
+          ok: false,
+          error: `Message must be between 1 and ${MAX_MESSAGE_LENGTH} characters`,
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      try {
+        const { clientId, projectId } = await getRoomScope(roomId);
+        const message = toChatMessage(await conversationService.postMessage({
+          clientId,
+          projectId,
+          author: user,
+          body
+        }));
+
+        // Broadcast to the room as message-received by the event forwarding (sockets/events.js)
+        respond(socket, 'new-message', ack, { ok: true, message });
+
+        logger.debug('Chat message broadcast', { socketId: socket.id, roomId, messageId: message.id });
+      } catch (error) {
+        logger.error('new-message failed', { socketId: socket.id, roomId, error });
+        respond(socket, 'new-message', ack, { ok: false, error: 'Could not send message', code: 'INTERNAL_ERROR' });
+      }
+    });
+
+    // Typing indicator, relayed to the other members of the room
+    socket.on('typing', (data = {}) => {
+      if (!data.roomId || !socket.rooms.has(data.roomId)) return;
+
+      socket.to(data.roomId).emit('user-typing', {
+        roomId: data.roomId,
+        userId: user.id,
+        name: user.name,
+        isTyping: Boolean(data.isTyping)
+      });
+    });
+
+    // Read receipts
+    socket.on('mark-read', async (data = {}, ack) => {
+      const { roomId, messageIds } = data;
+
+      if (!roomId || !socket.rooms.has(roomId)) {
+        return respond(socket, 'mark-read', ack, { ok: false, error: 'Join the room first', code: 'FORBIDDEN' });
+      }
+      if (!Array.isArray(messageIds) || !messageIds.length) {
+        return respond(socket, 'mark-read', ack, { ok: false, error: 'messageIds must be a non-empty list', code: 'VALIDATION_ERROR' });
+      }
+
+      try {
+        const receipt = await conversationService.markRead(roomId, messageIds.slice(0, 100).map(String), user.id);
+
+        if (receipt.messageIds.length) {
+          io.to(roomId).emit('messages-read', { roomId, userId: user.id, ...receipt });
+        }
+        respond(socket, 'mark-read', ack, { ok: true, ...receipt });
+      } catch (error) {
+        logger.error('mark-read failed', { socketId: socket.id, roomId, error });
+        respond(socket, 'mark-read', ack, { ok: false, error: 'Could not mark messages as read', code: 'INTERNAL_ERROR' });
+      }
+    });
+
+    // Handle disconnect
+    socket.on('disconnect', () => {
+      logger.info('Socket disconnected', { socketId: socket.id, userId: user.id });
+    });
+  });
+};
+
+module.exports = {
+  registerSocketHandlers,
+  authenticateSocket
+};
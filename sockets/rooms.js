@@ -0,0 +1,62 @@
+/**
+ * Socket Rooms
+ * Room naming and server-side membership checks
+ *
+ *   team              admin and team members
+ *   client-<clientId> the client, admins and team members assigned to one of its projects
+ *   project-<id>      the project's client, admins and assigned team members
+ *   user-<id>         one user's own sockets; joined automatically on connect
+ */
+
+const projectService = require('../services/projectService');
+
+const TEAM_ROOM = 'team';
+
+const userRoom = userId => `user-${userId}`;
+
+/**
+ * Split a room name into { type, id }; returns null for unknown rooms
+ */
+const parseRoom = (room) => {
+  if (room === TEAM_ROOM) return { type: 'team', id: null };
+
+  const match = /^(client|project)-(.+)$/.exec(String(room || ''));
+  return match ? { type: match[1], id: match[2] } : null;
+};
+
+/**
+ * Check whether a user may join a room
+ */
+const canJoinRoom = async (user, room) => {
+  const parsed = parseRoom(room);
+  if (!parsed) return false;
+
+  const isStaff = ['admin', 'team'].includes(user.role);
+
+  if (parsed.type === 'team') return isStaff;
+  if (user.role === 'admin') return true;
+
+  if (parsed.type === 'client') {
+    if (user.role === 'client') return user.clientId === parsed.id;
+
+    const assigned = await projectService.listProjects({ clientId: parsed.id, assignedTo: user.id });
+    return assigned.length > 0;
+  }
+
+  let project;
+  try {
+    project = await projectService.getProject(parsed.id);
+  } catch (error) {
+    return false;
+  }
+
+  if (user.role === 'client') return project.client_id === user.clientId;
+  return (project.assigned_to || []).includes(user.id);
+};
+
+module.exports = {
+  TEAM_ROOM,
+  userRoom,
+  parseRoom,
+  canJoinRoom
+};
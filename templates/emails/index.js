@@ -0,0 +1,75 @@
+/**
+ * Email Templates
+ * Registry of email templates; renders subject, HTML and plain-text bodies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { renderTemplate, escapeHeader, htmlToText } = require('../../utils/template');
+
+const DASHBOARD_URL = 'https://salesresolvefrontend-6bgv.vercel.app';
+
+const readTemplate = (file) => fs.readFileSync(path.join(__dirname, file), 'utf8');
+
+const partials = {
+  header: readTemplate('partials/header.html'),
+  footer: readTemplate('partials/footer.html'),
+  button: readTemplate('partials/button.html')
+};
+
+// Static values (heading, button) are merged under the caller's data
+const templates = {
+  newMessage: {
+    subject: '📨 Mesaj nou de la {{name}} - Sales Resolve',
+    file: 'new-message.html',
+    defaults: { heading: '📨 Mesaj nou - Sales Resolve', buttonUrl: DASHBOARD_URL, buttonLabel: '🔗 Vezi în Dashboard' }
+  },
+  welcome: {
+    subject: '🎉 Bine ai venit la Sales Resolve, {{clientName}}!',
+    file: 'welcome.html',
+    defaults: { heading: '🎉 Bine ai venit la Sales Resolve!', buttonUrl: DASHBOARD_URL, buttonLabel: '🌐 Vezi Website-ul' }
+  },
+  projectUpdate: {
+    subject: '📈 Actualizare proiect: {{projectName}}',
+    file: 'project-update.html',
+    defaults: { heading: '📈 Actualizare Proiect', buttonUrl: DASHBOARD_URL, buttonLabel: '🔗 Vezi Progresul' }
+  },
+  messageReply: {
+    subject: '{{subject}}',
+    file: 'message-reply.html',
+    defaults: { heading: '💬 Sales Resolve' }
+  },
+  notification: {
+    subject: '🔔 {{title}}',
+    file: 'notification.html',
+    defaults: { heading: '🔔 Notificare - Sales Resolve', buttonUrl: DASHBOARD_URL, buttonLabel: '🔗 Vezi în Dashboard' }
+  }
+};
+
+Object.values(templates).forEach((template) => {
+  template.html = readTemplate(template.file);
+});
+
+/**
+ * Render a named template to { subject, html, text }
+ */
+const renderEmail = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const context = { ...template.defaults, ...data };
+  const html = renderTemplate(template.html, context, { partials });
+
+  return {
+    subject: renderTemplate(template.subject, context, { escape: escapeHeader }),
+    html,
+    text: htmlToText(html)
+  };
+};
+
+module.exports = {
+  renderEmail,
+  templateNames: Object.keys(templates)
+};
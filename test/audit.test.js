@@ -0,0 +1,63 @@
+/**
+ * Audit trail of mutating API calls
+ */
+
+require('./helpers/setup').setupTestEnv();
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const auditService = require('../services/auditService');
+const { startTestServer, createUserAndLogin } = require('./helpers/server');
+
+describe('audit trail', () => {
+  let testServer;
+  let request;
+  let adminToken;
+
+  // Audit entries are written once the response has been sent
+  const waitForEntry = async (filters) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const { entries } = await auditService.listEntries(filters);
+      if (entries.length) return entries[0];
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`No audit entry for ${JSON.stringify(filters)}`);
+  };
+
+  before(async () => {
+    testServer = await startTestServer();
+    request = testServer.request;
+    ({ token: adminToken } = await createUserAndLogin(request, { email: 'admin@example.com', role: 'admin' }));
+  });
+
+  after(() => testServer.close());
+
+  it('records message updates with the changed fields', async () => {
+    const { body: created } = await request('POST', '/api/messages', {
+      body: { name: 'Ana', email: 'ana@example.com', message: 'Need a quote' }
+    });
+
+    await request('PATCH', `/api/messages/${created.data.id}`, { token: adminToken, body: { status: 'read' } });
+
+    const entry = await waitForEntry({ action: 'message.update' });
+    assert.equal(entry.outcome, 'success');
+    assert.equal(entry.actor_email, 'admin@example.com');
+    assert.equal(entry.entity_id, created.data.id);
+    assert.deepEqual(entry.changes.status, { from: 'new', to: 'read' });
+  });
+
+  it('survives paths with malformed percent-encoding', async (t) => {
+    const rejections = [];
+    const onRejection = reason => rejections.push(reason);
+    process.on('unhandledRejection', onRejection);
+    t.after(() => process.off('unhandledRejection', onRejection));
+
+    const response = await request('PATCH', '/api/messages/%E0%A4%A', { body: { status: 'read' } });
+    assert.equal(response.status, 401);
+
+    const entry = await waitForEntry({ action: 'message.update', outcome: 'failure' });
+    assert.equal(entry.entity_id, null);
+    assert.equal(entry.path, '/api/messages/%E0%A4%A');
+    assert.deepEqual(rejections, []);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Auth flow: login, current user, refresh token rotation, logout and roles
+ */
+
+require('./helpers/setup').setupTestEnv();
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const authService = require('../services/authService');
+const { startTestServer } = require('./helpers/server');
+
+describe('auth API', () => {
+  let testServer;
+  let request;
+
+  const login = (email, password) => request('POST', '/api/auth/login', { body: { email, password } });
+
+  before(async () => {
+    testServer = await startTestServer();
+    request = testServer.request;
+    await authService.createUser({ email: 'Admin@Example.com', password: 'admin-password', name: 'Admin', role: 'admin' });
+    await authService.createUser({ email: 'client@example.com', password: 'client-password', name: 'Client' });
+  });
+
+  after(() => testServer.close());
+
+  it('logs in with valid credentials', async () => {
+    const response = await login('admin@example.com', 'admin-password');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.user.email, 'admin@example.com');
+    assert.equal(response.body.user.role, 'admin');
+    assert.equal(response.body.user.password_hash, undefined);
+    assert.ok(response.body.token);
+    assert.ok(response.body.refreshToken);
+  });
+
+  it('rejects a wrong password and an unknown email alike', async () => {
+    const wrongPassword = await login('admin@example.com', 'wrong-password');
+    const unknownEmail = await login('nobody@example.com', 'admin-password');
+
+    assert.equal(wrongPassword.status, 401);
+    assert.equal(unknownEmail.status, 401);
+    assert.deepEqual(wrongPassword.body, unknownEmail.body);
+    assert.equal(wrongPassword.body.code, 'AUTH_ERROR');
+  });
+
+  it('returns the current user for a valid access token', async () => {
+    const { body: { token } } = await login('admin@example.com', 'admin-password');
+
+    const response = await request('GET', '/api/auth/me', { token });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.email, 'admin@example.com');
+
+    assert.equal((await request('GET', '/api/auth/me')).status, 401);
+    assert.equal((await request('GET', '/api/auth/me', { token: 'not-a-token' })).status, 401);
+  });
+
+  it('rotates refresh tokens', async () => {
+    const { body: { refreshToken } } = await login('admin@example.com', 'admin-password');
+
+    const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.ok(refreshed.body.token);
+    assert.notEqual(refreshed.body.refreshToken, refreshToken);
+
+    const reused = await request('POST', '/api/auth/refresh', { body: { refreshToken } });
+    assert.equal(reused.status, 401);
+  });
+
+  it('revokes the refresh token on logout', async () => {
+    const { body: { refreshToken } } = await login('admin@example.com', 'admin-password');
+
+    const logout = await request('POST', '/api/auth/logout', { body: { refreshToken } });
+    assert.equal(logout.status, 200);
+
+    const refreshed = await request('POST', '/api/auth/refresh', { body: { refreshToken } });
+    assert.equal(refreshed.status, 401);
+  });
+
+  it('matches protected paths whatever their case', async () => {
+    const { body: { token } } = await login('client@example.com', 'client-password');
+
+    for (const path of ['/API/messages', '/api/AUDIT', '/api/analytics/Leads', '/Api/Clients/']) {
+      assert.equal((await request('GET', path)).status, 401, path);
+      assert.equal((await request('GET', path, { token })).status, 403, path);
+    }
+    assert.equal((await request('POST', '/API/clients', { body: { name: 'Acme' } })).status, 401);
+    assert.equal((await request('DELETE', '/API/projects/00000000-0000-4000-8000-000000000000')).status, 401);
+  });
+
+  it('protects HEAD requests like GET', async () => {
+    const { body: { token } } = await login('admin@example.com', 'admin-password');
+
+    assert.equal((await request('HEAD', '/api/audit')).status, 401);
+    assert.equal((await request('HEAD', '/api/audit', { token })).status, 200);
+    assert.equal((await request('HEAD', '/api/health')).status, 200);
+  });
+
+  it('denies API routes missing from the permission map', async () => {
+    const { body: { token } } = await login('admin@example.com', 'admin-password');
+
+    assert.equal((await request('GET', '/api/unlisted')).status, 401);
+    assert.equal((await request('GET', '/api/unlisted', { token })).status, 403);
+    assert.equal((await request('PUT', '/api/messages')).status, 401);
+  });
+
+  it('forbids routes outside the user role', async () => {
+    const { body: { token } } = await login('client@example.com', 'client-password');
+
+    const response = await request('GET', '/api/messages', { token });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'FORBIDDEN');
+  });
+});
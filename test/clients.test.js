@@ -0,0 +1,82 @@
+/**
+ * Clients API and the client portal: documents and conversations
+ */
+
+require('./helpers/setup').setupTestEnv();
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createUserAndLogin } = require('./helpers/server');
+
+describe('clients API', () => {
+  let testServer;
+  let request;
+  let staffToken;
+  let clientToken;
+  let acme;
+
+  const createClient = async (name, email) => {
+    const response = await request('POST', '/api/clients', { token: staffToken, body: { name, email, sendWelcome: false } });
+    return response.body.data;
+  };
+
+  before(async () => {
+    testServer = await startTestServer();
+    request = testServer.request;
+    ({ token: staffToken } = await createUserAndLogin(request, { email: 'admin@example.com', role: 'admin' }));
+
+    acme = await createClient('Acme', 'office@acme.example.com');
+    await request('POST', `/api/clients/${acme.id}/portal-access`, { token: staffToken, body: { password: 'acme-password' } });
+    const login = await request('POST', '/api/auth/login', { body: { email: acme.email, password: 'acme-password' } });
+    clientToken = login.body.token;
+
+    await request('POST', `/api/clients/${acme.id}/documents`, {
+      token: staffToken,
+      body: { type: 'invoice', name: 'Invoice 1', url: 'https://files.example.com/invoice-1.pdf' }
+    });
+  });
+
+  after(() => testServer.close());
+
+  it('filters documents by type', async () => {
+    const invoices = await request('GET', `/api/clients/${acme.id}/documents?type=invoice`, { token: staffToken });
+    assert.equal(invoices.status, 200);
+    assert.deepEqual(invoices.body.documents.map(document => document.name), ['Invoice 1']);
+
+    const files = await request('GET', '/api/portal/documents?type=file', { token: clientToken });
+    assert.deepEqual(files.body.documents, []);
+  });
+
+  it('rejects conversation messages filed under another client\'s project', async () => {
+    const bistro = await createClient('Bistro', 'hello@bistro.example.com');
+    const project = await request('POST', '/api/projects', { token: staffToken, body: { name: 'Bistro shop', client_id: bistro.id } });
+
+    const response = await request('POST', `/api/clients/${acme.id}/conversation`, {
+      token: staffToken,
+      body: { body: 'Status update', project_id: project.body.data.id }
+    });
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, 'Project not found');
+
+    const bistroConversation = await request('GET', `/api/clients/${bistro.id}/conversation`, { token: staffToken });
+    assert.deepEqual(bistroConversation.body.messages, []);
+
+    const own = await request('POST', `/api/clients/${bistro.id}/conversation`, {
+      token: staffToken,
+      body: { body: 'Status update', project_id: project.body.data.id }
+    });
+    assert.equal(own.status, 201);
+    assert.equal(own.body.data.room, `project-${project.body.data.id}`);
+  });
+
+  it('rejects document filters that are not a known type', async () => {
+    for (const query of ['type[foo]=1', 'type[neq]=invoice', 'type=contract']) {
+      const staff = await request('GET', `/api/clients/${acme.id}/documents?${query}`, { token: staffToken });
+      const portal = await request('GET', `/api/portal/documents?${query}`, { token: clientToken });
+
+      assert.equal(staff.status, 400, query);
+      assert.equal(portal.status, 400, query);
+      assert.equal(portal.body.code, 'VALIDATION_ERROR');
+    }
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * EmailService outbox with a fake transport: delivery, retries with backoff and dead emails
+ */
+
+require('./helpers/setup').setupTestEnv({ EMAIL_MAX_ATTEMPTS: '3', EMAIL_RETRY_BACKOFF_MS: '60000' });
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const emailService = require('../services/emailService');
+const eventBus = require('../services/eventBus');
+const { emailNotifications } = require('../repositories');
+const logger = require('../utils/logger');
+
+const { EVENTS } = eventBus;
+
+/**
+ * Transport that fails its first `failures` sends and records every attempt
+ */
+const createFakeTransport = ({ failures = 0 } = {}) => {
+  const sent = [];
+  let calls = 0;
+
+  return {
+    name: 'fake',
+    sent,
+    get calls() {
+      return calls;
+    },
+    async send(email) {
+      calls++;
+      if (calls <= failures) throw new Error(`Send failed (${calls})`);
+      sent.push(email);
+      return { id: `fake-${calls}` };
+    }
+  };
+};
+
+const queue = subject => emailService.enqueueEmail('client@example.com', subject, `<p>${subject}</p>`, subject);
+
+const stored = id => emailNotifications.findOne({ id });
+
+// Make a rescheduled email due again without waiting for its backoff
+const makeDue = id => emailNotifications.updateOne({ id }, { next_attempt_at: new Date().toISOString() });
+
+// Leave an email as a worker that stopped mid-send would: claimed, with an expired lease
+const interruptSend = (id, attempts) => emailNotifications.updateOne({ id }, {
+  status: 'sending',
+  attempts,
+  next_attempt_at: new Date(Date.now() - 1000).toISOString()
+});
+
+describe('EmailService', () => {
+  let originalTransport;
+
+  beforeEach(() => {
+    originalTransport = emailService.transport;
+  });
+
+  afterEach(() => {
+    emailService.transport = originalTransport;
+  });
+
+  it('delivers queued emails through the transport', async () => {
+    const transport = createFakeTransport();
+    emailService.transport = transport;
+
+    const email = await queue('Welcome');
+    const { processed } = await emailService.processOutbox();
+
+    assert.equal(processed, 1);
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].to, 'client@example.com');
+    assert.equal(transport.sent[0].subject, 'Welcome');
+    assert.equal(transport.sent[0].from, emailService.fromEmail);
+
+    const row = await stored(email.id);
+    assert.equal(row.status, 'sent');
+    assert.equal(row.attempts, 1);
+    assert.equal(row.next_attempt_at, null);
+    assert.equal(row.transport, 'fake');
+    assert.equal(row.provider_id, 'fake-1');
+    assert.ok(row.sent_at);
+  });
+
+  it('reschedules failed sends with exponential backoff', async (t) => {
+    t.mock.method(logger, 'error', () => logger);
+    const transport = createFakeTransport({ failures: 1 });
+    emailService.transport = transport;
+
+    const email = await queue('Retry me');
+    const before = Date.now();
+    await emailService.processOutbox();
+
+    const failed = await stored(email.id);
+    assert.equal(failed.status, 'pending');
+    assert.equal(failed.attempts, 1);
+    assert.equal(failed.last_error, 'Send failed (1)');
+    assert.ok(new Date(failed.next_attempt_at).getTime() >= before + 60000);
+
+    // Not due yet, so nothing is sent
+    assert.deepEqual(await emailService.processOutbox(), { processed: 0 });
+
+    await makeDue(email.id);
+    await emailService.processOutbox();
+
+    const sent = await stored(email.id);
+    assert.equal(sent.status, 'sent');
+    assert.equal(sent.attempts, 2);
+    assert.equal(transport.calls, 2);
+
+    assert.equal(emailService.getRetryDelay(1), 60000);
+    assert.equal(emailService.getRetryDelay(2), 120000);
+    assert.equal(emailService.getRetryDelay(3), 240000);
+  });
+
+  it('marks an email dead after maxAttempts and publishes email.failed', async (t) => {
+    t.mock.method(logger, 'error', () => logger);
+    emailService.transport = createFakeTransport({ failures: Infinity });
+    const failures = [];
+    const listener = payload => failures.push(payload);
+    eventBus.on(EVENTS.EMAIL_FAILED, listener);
+    t.after(() => eventBus.off(EVENTS.EMAIL_FAILED, listener));
+
+    const email = await queue('Never arrives');
+    for (let attempt = 1; attempt <= emailService.maxAttempts; attempt++) {
+      if (attempt > 1) await makeDue(email.id);
+      await emailService.processOutbox();
+    }
+
+    const dead = await stored(email.id);
+    assert.equal(dead.status, 'dead');
+    assert.equal(dead.attempts, 3);
+    assert.equal(dead.next_attempt_at, null);
+
+    assert.deepEqual(failures.map(({ attempts, willRetry }) => ({ attempts, willRetry })), [
+      { attempts: 1, willRetry: true },
+      { attempts: 2, willRetry: true },
+      { attempts: 3, willRetry: false }
+    ]);
+  });
+
+  it('leaves a claimed email alone until its sending lease expires', async () => {
+    const transport = createFakeTransport();
+    emailService.transport = transport;
+
+    const email = await queue('Claimed elsewhere');
+    await emailNotifications.updateOne({ id: email.id }, {
+      status: 'sending',
+      attempts: 1,
+      next_attempt_at: new Date(Date.now() + emailService.SENDING_LEASE_MS).toISOString()
+    });
+
+    assert.deepEqual(await emailService.processOutbox(), { processed: 0 });
+    assert.equal(transport.calls, 0);
+  });
+
+  it('retries an email whose send was interrupted', async () => {
+    const transport = createFakeTransport();
+    emailService.transport = transport;
+
+    const email = await queue('Interrupted');
+    await interruptSend(email.id, 1);
+    await emailService.processOutbox();
+
+    const row = await stored(email.id);
+    assert.equal(row.status, 'sent');
+    assert.equal(row.attempts, 2);
+    assert.equal(transport.sent.length, 1);
+  });
+
+  it('marks an email dead when its last attempt was interrupted', async (t) => {
+    t.mock.method(logger, 'error', () => logger);
+    const transport = createFakeTransport();
+    emailService.transport = transport;
+    const failures = [];
+    const listener = payload => failures.push(payload);
+    eventBus.on(EVENTS.EMAIL_FAILED, listener);
+    t.after(() => eventBus.off(EVENTS.EMAIL_FAILED, listener));
+
+    const email = await queue('Interrupted for good');
+    await interruptSend(email.id, emailService.maxAttempts);
+    await emailService.processOutbox();
+
+    const row = await stored(email.id);
+    assert.equal(row.status, 'dead');
+    assert.equal(row.next_attempt_at, null);
+    assert.equal(transport.calls, 0);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].willRetry, false);
+  });
+});
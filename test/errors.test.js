@@ -0,0 +1,66 @@
+/**
+ * 404 and error handlers
+ */
+
+require('./helpers/setup').setupTestEnv();
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const messageService = require('../services/messageService');
+const logger = require('../utils/logger');
+const { startTestServer, createUserAndLogin } = require('./helpers/server');
+
+describe('error handling', () => {
+  let testServer;
+  let request;
+
+  before(async () => {
+    testServer = await startTestServer();
+    request = testServer.request;
+  });
+
+  after(() => testServer.close());
+
+  it('answers unknown routes with a JSON 404', async () => {
+    const response = await request('GET', '/does-not-exist');
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(response.body, { error: 'Route not found', code: 'NOT_FOUND', path: '/does-not-exist' });
+  });
+
+  it('rejects malformed JSON bodies', async () => {
+    const response = await request('POST', '/api/auth/login', {
+      body: '{"email": ',
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('rejects oversized bodies', async () => {
+    const response = await request('POST', '/api/auth/login', {
+      body: { email: 'a@example.com', password: 'x'.repeat(200 * 1024) }
+    });
+
+    assert.equal(response.status, 413);
+    assert.equal(response.body.code, 'PAYLOAD_TOO_LARGE');
+  });
+
+  it('turns unexpected errors into a logged 500', async (t) => {
+    const { token } = await createUserAndLogin(request, { email: 'team@example.com', role: 'team' });
+    t.mock.method(messageService, 'listMessages', async () => {
+      throw new Error('Database unavailable');
+    });
+    const logError = t.mock.method(logger, 'error', () => logger);
+    t.mock.method(logger, 'log', () => logger);
+
+    const response = await request('GET', '/api/messages', { token });
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.code, 'INTERNAL_ERROR');
+    assert.equal(response.body.error, 'Database unavailable');
+    assert.equal(response.body.stack, undefined);
+    assert.equal(logError.mock.calls[0].arguments[0], 'Unhandled error');
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Fake Supabase
+ * In-memory stand-in for the parts of the Supabase query builder the
+ * repositories use, so the Supabase data path runs offline
+ */
+
+const { randomUUID } = require('crypto');
+
+const isEmpty = value => value === null || value === undefined;
+
+const copy = value => structuredClone(value);
+
+const likePattern = pattern => new RegExp(`^${String(pattern)
+  .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  .replace(/%/g, '.*')
+  .replace(/_/g, '.')}$`, 'is');
+
+const compare = (a, b) => {
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) - isEmpty(b);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b));
+};
+
+const FILTERS = {
+  eq: (value, expected) => value === expected,
+  neq: (value, expected) => value !== expected,
+  is: (value, expected) => (expected === null ? isEmpty(value) : value === expected),
+  in: (value, expected) => expected.includes(value),
+  gt: (value, expected) => !isEmpty(value) && value > expected,
+  gte: (value, expected) => !isEmpty(value) && value >= expected,
+  lt: (value, expected) => !isEmpty(value) && value < expected,
+  lte: (value, expected) => !isEmpty(value) && value <= expected,
+  ilike: (value, expected) => !isEmpty(value) && likePattern(expected).test(String(value)),
+  contains: (value, expected) => Array.isArray(value) && expected.every(item => value.includes(item))
+};
+
+/**
+ * PostgREST "or" filter string: "column.operator.value,..."
+ */
+const parseOr = filters => filters.split(',').map((filter) => {
+  const [column, operator, ...rest] = filter.split('.');
+  const match = FILTERS[operator];
+  if (!match) throw new Error(`Unsupported or() operator: ${operator}`);
+
+  const expected = rest.join('.');
+  return row => match(row[column], expected);
+});
+
+/**
+ * Query on one table; runs when awaited and resolves with { data, error, count }
+ */
+const createQuery = (rows, action, payload, { onConflict = 'id' } = {}) => {
+  const filters = [];
+  const orders = [];
+  let range = null;
+  let returning = action === 'select';
+  let countMode = null;
+  let head = false;
+  let cardinality = 'many';
+
+  const matches = row => filters.every(filter => filter(row));
+
+  const withDefaults = row => ({
+    id: randomUUID(),
+    created_at: new Date().toISOString(),
+    ...copy(row)
+  });
+
+  const execute = () => {
+    let result;
+
+    if (action === 'insert') {
+      result = [].concat(payload).map(withDefaults);
+      rows.push(...result);
+    } else if (action === 'upsert') {
+      result = [].concat(payload).map((row) => {
+        const existing = rows.find(item => item[onConflict] === row[onConflict]);
+        if (!existing) {
+          const saved = withDefaults(row);
+          rows.push(saved);
+          return saved;
+        }
+        return Object.assign(existing, copy(row));
+      });
+    } else if (action === 'update') {
+      result = rows.filter(matches);
+      result.forEach(row => Object.assign(row, copy(payload)));
+    } else if (action === 'delete') {
+      result = rows.filter(matches);
+      const kept = rows.filter(row => !matches(row));
+      rows.splice(0, rows.length, ...kept);
+    } else {
+      result = rows.filter(matches);
+    }
+
+    if (orders.length) {
+      result = [...result].sort((a, b) => {
+        for (const { column, ascending } of orders) {
+          const order = compare(a[column], b[column]);
+          if (order) return ascending ? order : -order;
+        }
+        return 0;
+      });
+    }
+
+    const count = countMode ? result.length : null;
+    if (range) result = result.slice(range.from, range.to + 1);
+
+    let data = head || !returning ? null : copy(result);
+
+    if (cardinality !== 'many' && data) {
+      if (data.length > 1 || (cardinality === 'single' && data.length === 0)) {
+        return { data: null, count, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+      }
+      data = data[0] || null;
+    }
+
+    return { data, error: null, count };
+  };
+
+  const query = {
+    select(columns, options = {}) {
+      returning = true;
+      countMode = options.count || null;
+      head = Boolean(options.head);
+      return query;
+    },
+    not(column, operator, value) {
+      filters.push(row => !FILTERS[operator](row[column], value));
+      return query;
+    },
+    or(filterString) {
+      const alternatives = parseOr(filterString);
+      filters.push(row => alternatives.some(match => match(row)));
+      return query;
+    },
+    order(column, { ascending = true } = {}) {
+      orders.push({ column, ascending });
+      return query;
+    },
+    range(from, to) {
+      range = { from, to };
+      return query;
+    },
+    limit(count) {
+      range = { from: 0, to: count - 1 };
+      return query;
+    },
+    single() {
+      cardinality = 'single';
+      return query;
+    },
+    maybeSingle() {
+      cardinality = 'maybeSingle';
+      return query;
+    },
+    then(resolve, reject) {
+      return Promise.resolve().then(execute).then(resolve, reject);
+    }
+  };
+
+  Object.entries(FILTERS).forEach(([operator, match]) => {
+    query[operator] = (column, value) => {
+      filters.push(row => match(row[column], value));
+      return query;
+    };
+  });
+
+  return query;
+};
+
+/**
+ * A client with from(table).select/insert/upsert/update/delete; tables holds the rows
+ */
+const createFakeSupabase = () => {
+  const tables = {};
+  const table = name => {
+    if (!tables[name]) tables[name] = [];
+    return tables[name];
+  };
+
+  return {
+    tables,
+    from(name) {
+      return {
+        select: (columns, options) => createQuery(table(name), 'select').select(columns, options),
+        insert: row => createQuery(table(name), 'insert', row),
+        upsert: (row, options) => createQuery(table(name), 'upsert', row, options),
+        update: changes => createQuery(table(name), 'update', changes),
+        delete: () => createQuery(table(name), 'delete')
+      };
+    }
+  };
+};
+
+/**
+ * Make config/supabase export the fake client; call before requiring the repositories
+ */
+const useFakeSupabase = () => {
+  const supabase = createFakeSupabase();
+  const modulePath = require.resolve('../../config/supabase');
+
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports: {
+      supabase,
+      supabaseAnon: supabase,
+      supabaseUrl: 'http://supabase.test',
+      supabaseAnonKey: 'test-anon-key',
+      isSupabaseConfigured: true
+    }
+  };
+
+  return supabase;
+};
+
+module.exports = {
+  createFakeSupabase,
+  useFakeSupabase
+};
@@ -0,0 +1,203 @@
+/**
+ * Messages Suite
+ * Contact form and inbox tests shared by the memory and Supabase data paths
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('crypto');
+const attachmentService = require('../../services/attachmentService');
+const logger = require('../../utils/logger');
+const { startTestServer, createUserAndLogin } = require('./server');
+
+/**
+ * Register the messages tests; expectedSource is the data store the app must report
+ */
+const messagesSuite = (expectedSource) => {
+  const successMessage = expectedSource === 'supabase'
+    ? 'Message sent successfully'
+    : 'Message sent successfully (stored in memory)';
+
+  describe(`messages API (${expectedSource})`, () => {
+    let testServer;
+    let request;
+    let staffToken;
+    let clientToken;
+
+    const submit = body => request('POST', '/api/messages', { body });
+
+    before(async () => {
+      testServer = await startTestServer();
+      request = testServer.request;
+      ({ token: staffToken } = await createUserAndLogin(request, { email: 'team@example.com', role: 'team' }));
+      ({ token: clientToken } = await createUserAndLogin(request, { email: 'client@example.com', role: 'client' }));
+    });
+
+    after(() => testServer.close());
+
+    it('stores a contact form message', async () => {
+      const response = await submit({ name: 'Ana Pop', email: 'ana@example.com', message: 'We need a new website' });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.message, successMessage);
+      assert.equal(response.body.data.name, 'Ana Pop');
+      assert.equal(response.body.data.message, 'We need a new website');
+      assert.deepEqual(response.body.data.attachments, []);
+      assert.ok(response.body.data.id);
+    });
+
+    it('rejects invalid submissions with field errors', async () => {
+      const response = await submit({ name: '', email: 'not-an-email', message: 'Hello' });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'VALIDATION_ERROR');
+      const fields = response.body.details.map(detail => detail.field);
+      assert.ok(fields.includes('name'));
+      assert.ok(fields.includes('email'));
+    });
+
+    it('rejects a duplicate submission', async () => {
+      const body = { name: 'Ion Ionescu', email: 'ion@example.com', message: 'Please call me back' };
+      assert.equal((await submit(body)).status, 201);
+
+      const response = await submit(body);
+      assert.equal(response.status, 409);
+      assert.equal(response.body.code, 'DUPLICATE_MESSAGE');
+    });
+
+    it('answers honeypot submissions like any other and files them as spam', async () => {
+      const response = await submit({
+        name: 'Bot',
+        email: 'bot@example.com',
+        message: 'Cheap offers here',
+        website: 'http://spam.example.com'
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.message, successMessage);
+      assert.deepEqual(Object.keys(response.body.data).sort(), ['attachments', 'created_at', 'email', 'id', 'message', 'name']);
+
+      const stored = await request('GET', `/api/messages/${response.body.data.id}`, { token: staffToken });
+      assert.equal(stored.body.data.status, 'spam');
+    });
+
+    it('requires a staff token for the inbox', async () => {
+      assert.equal((await request('GET', '/api/messages')).status, 401);
+      assert.equal((await request('GET', '/api/messages', { token: clientToken })).status, 403);
+    });
+
+    it('lists, searches and paginates messages', async () => {
+      const response = await request('GET', '/api/messages?limit=2', { token: staffToken });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.messages.length, 2);
+      assert.equal(response.body.pagination.total, 3);
+      assert.equal(response.body.pagination.totalPages, 2);
+
+      const search = await request('GET', '/api/messages?search=website', { token: staffToken });
+      assert.deepEqual(search.body.messages.map(message => message.email), ['ana@example.com']);
+    });
+
+    it('updates, then soft-deletes a message', async () => {
+      const { body: created } = await submit({ name: 'Maria', email: 'maria@example.com', message: 'Quote for an app' });
+      const id = created.data.id;
+
+      const updated = await request('PATCH', `/api/messages/${id}`, {
+        token: staffToken,
+        body: { status: 'in_progress', note: 'Called her' }
+      });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.data.status, 'in_progress');
+      assert.equal(updated.body.data.notes[0].body, 'Called her');
+
+      const fetched = await request('GET', `/api/messages/${id}`, { token: staffToken });
+      assert.equal(fetched.body.data.status, 'in_progress');
+      assert.deepEqual(fetched.body.data.replies, []);
+
+      assert.equal((await request('DELETE', `/api/messages/${id}`, { token: staffToken })).status, 200);
+      assert.equal((await request('GET', `/api/messages/${id}`, { token: staffToken })).status, 404);
+    });
+
+    it('keeps a converted message converted when replying to it', async () => {
+      const { body: created } = await submit({ name: 'Radu', email: 'radu@example.com', message: 'Shop redesign' });
+      const id = created.data.id;
+
+      const converted = await request('POST', `/api/messages/${id}/convert`, {
+        token: staffToken,
+        body: { createProject: true, sendWelcome: false }
+      });
+      assert.equal(converted.status, 201);
+
+      const reply = await request('POST', `/api/messages/${id}/replies`, { token: staffToken, body: { body: 'Thanks, we start Monday' } });
+      assert.equal(reply.status, 201);
+      assert.equal(reply.body.data.message.status, 'converted');
+
+      const again = await request('POST', `/api/messages/${id}/convert`, { token: staffToken, body: { createProject: true } });
+      assert.equal(again.status, 409);
+      assert.equal(again.body.code, 'ALREADY_CONVERTED');
+    });
+
+    it('does not convert a message twice after its status was changed', async () => {
+      const { body: created } = await submit({ name: 'Elena', email: 'elena@example.com', message: 'Landing page' });
+      const id = created.data.id;
+
+      await request('POST', `/api/messages/${id}/convert`, { token: staffToken, body: { sendWelcome: false } });
+      await request('PATCH', `/api/messages/${id}`, { token: staffToken, body: { status: 'archived' } });
+
+      const again = await request('POST', `/api/messages/${id}/convert`, { token: staffToken, body: {} });
+      assert.equal(again.status, 409);
+    });
+
+    it('stores nothing when an attachment cannot be saved', async (t) => {
+      const contactForm = () => {
+        const form = new FormData();
+        form.append('name', 'Dan');
+        form.append('email', 'dan@example.com');
+        form.append('message', 'Brief attached');
+        form.append('attachments', new Blob(['Project brief'], { type: 'text/plain' }), 'brief.txt');
+        return form;
+      };
+      const submitForm = async () => {
+        const response = await fetch(`${testServer.baseUrl}/api/messages`, { method: 'POST', body: contactForm() });
+        return { status: response.status, body: await response.json() };
+      };
+
+      t.mock.method(logger, 'error', () => logger);
+      t.mock.method(logger, 'log', () => logger);
+      const save = t.mock.method(attachmentService.storage, 'save', async () => {
+        throw new Error('Storage unavailable');
+      });
+
+      assert.equal((await submitForm()).status, 500);
+
+      const inbox = await request('GET', '/api/messages?search=dan@example.com', { token: staffToken });
+      assert.equal(inbox.body.pagination.total, 0);
+
+      // Nothing was stored, so the visitor can send it again
+      save.mock.restore();
+      const retried = await submitForm();
+      assert.equal(retried.status, 201);
+      assert.deepEqual(retried.body.data.attachments.map(file => file.name), ['brief.txt']);
+    });
+
+    it('rejects malformed ids before they reach the data store', async () => {
+      const response = await request('GET', '/api/messages/abc', { token: staffToken });
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body.details, [{ field: 'id', message: 'Must be a valid id' }]);
+
+      assert.equal((await request('GET', '/api/messages?assigned_to=abc', { token: staffToken })).status, 400);
+      assert.equal((await request('GET', '/api/messages?assigned_to=me', { token: staffToken })).status, 200);
+    });
+
+    it('returns 404 for an unknown message', async () => {
+      const response = await request('GET', `/api/messages/${randomUUID()}`, { token: staffToken });
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.code, 'NOT_FOUND');
+    });
+  });
+};
+
+module.exports = {
+  messagesSuite
+};
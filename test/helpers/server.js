@@ -0,0 +1,55 @@
+/**
+ * Test Server
+ * Starts the app on a free local port and sends JSON requests to it
+ */
+
+const authService = require('../../services/authService');
+const { createApp } = require('../../app');
+
+/**
+ * Create the app and listen on an ephemeral port; close() stops HTTP and Socket.IO
+ */
+const startTestServer = async () => {
+  const { app, server, io } = createApp();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a request; objects are sent as JSON, strings as they are.
+   * Resolves with { status, headers, body } where body is the parsed JSON
+   */
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  const close = () => new Promise(resolve => io.close(() => resolve()));
+
+  return { app, server, io, baseUrl, request, close };
+};
+
+/**
+ * Create a user directly and log in through the API; returns { user, token, refreshToken }
+ */
+const createUserAndLogin = async (request, { email, password = 'test-password', role = 'team', name, clientId } = {}) => {
+  const user = await authService.createUser({ email, password, role, name: name || email, clientId });
+  const response = await request('POST', '/api/auth/login', { body: { email, password } });
+
+  return { user, token: response.body.token, refreshToken: response.body.refreshToken };
+};
+
+module.exports = {
+  startTestServer,
+  createUserAndLogin
+};
@@ -0,0 +1,47 @@
+/**
+ * Test Setup
+ * Offline settings for the in-process tests. Call setupTestEnv() before
+ * requiring any app module: configuration is read once, on first require.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+// Set explicitly so values from a local .env (Supabase, Resend) never reach the tests
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  JWT_SECRET: 'test-jwt-secret-that-is-long-enough-0123456789',
+  SUPABASE_URL: '',
+  SUPABASE_SERVICE_ROLE_KEY: '',
+  SUPABASE_ANON_KEY: '',
+  DATA_STORE: 'memory',
+  DATA_FILE: '',
+  DATABASE_URL: '',
+  EMAIL_TRANSPORT: 'memory',
+  EMAIL_FALLBACK_TRANSPORT: '',
+  RESEND_API_KEY: '',
+  STORAGE_DRIVER: 'local',
+  ADMIN_EMAIL: '',
+  ADMIN_PASSWORD: '',
+  RATE_LIMIT_MAX_REQUESTS: '10000',
+  CONTACT_RATE_LIMIT_PER_IP: '1000',
+  CONTACT_RATE_LIMIT_PER_EMAIL: '1000'
+};
+
+/**
+ * Apply the test settings; uploads go to a temporary directory removed once the file's tests end
+ */
+const setupTestEnv = (overrides = {}) => {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sales-resolve-test-'));
+  after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+  Object.assign(process.env, TEST_ENV, { STORAGE_LOCAL_DIR: storageDir }, overrides);
+};
+
+module.exports = {
+  TEST_ENV,
+  setupTestEnv
+};
@@ -0,0 +1,9 @@
+/**
+ * Messages API on the memory data store
+ */
+
+require('./helpers/setup').setupTestEnv({ DATA_STORE: 'memory' });
+
+const { messagesSuite } = require('./helpers/messagesSuite');
+
+messagesSuite('memory');
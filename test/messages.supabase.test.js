@@ -0,0 +1,18 @@
+/**
+ * Messages API on the Supabase data store, against an in-memory fake client
+ */
+
+require('./helpers/setup').setupTestEnv({ DATA_STORE: 'supabase' });
+const supabase = require('./helpers/fakeSupabase').useFakeSupabase();
+
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { messagesSuite } = require('./helpers/messagesSuite');
+
+messagesSuite('supabase');
+
+it('keeps messages in the Supabase messages table', () => {
+  const emails = supabase.tables.messages.map(row => row.email);
+  assert.ok(emails.includes('ana@example.com'));
+  assert.ok(supabase.tables.messages.every(row => typeof row.content === 'string'));
+});
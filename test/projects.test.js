@@ -0,0 +1,54 @@
+/**
+ * Projects API: updates and the status workflow
+ */
+
+require('./helpers/setup').setupTestEnv();
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createUserAndLogin } = require('./helpers/server');
+
+describe('projects API', () => {
+  let testServer;
+  let request;
+  let token;
+
+  const createProject = async body => (await request('POST', '/api/projects', { token, body })).body.data;
+
+  before(async () => {
+    testServer = await startTestServer();
+    request = testServer.request;
+    ({ token } = await createUserAndLogin(request, { email: 'team@example.com', role: 'team' }));
+  });
+
+  after(() => testServer.close());
+
+  it('saves field changes together with an allowed status change', async () => {
+    const project = await createProject({ name: 'Website', budget: 1000 });
+
+    const response = await request('PATCH', `/api/projects/${project.id}`, {
+      token,
+      body: { budget: 1500, status: 'proposal' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.budget, 1500);
+    assert.equal(response.body.data.status, 'proposal');
+  });
+
+  it('changes nothing when the status transition is rejected', async () => {
+    const project = await createProject({ name: 'Shop', budget: 1000 });
+
+    const response = await request('PATCH', `/api/projects/${project.id}`, {
+      token,
+      body: { budget: 999, status: 'delivered' }
+    });
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'INVALID_STATUS_TRANSITION');
+
+    const stored = await request('GET', `/api/projects/${project.id}`, { token });
+    assert.equal(stored.body.data.budget, 1000);
+    assert.equal(stored.body.data.status, 'lead');
+    assert.equal(stored.body.data.updated_at, project.updated_at);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Socket.IO chat: handshake authentication, join-room and new-message, through a local client
+ */
+
+require('./helpers/setup').setupTestEnv();
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { randomUUID } = require('crypto');
+const { io: connect } = require('socket.io-client');
+const { startTestServer, createUserAndLogin } = require('./helpers/server');
+
+const CLIENT_ID = randomUUID();
+const CLIENT_ROOM = `client-${CLIENT_ID}`;
+
+describe('Socket.IO chat', () => {
+  let testServer;
+  let adminToken;
+  let clientToken;
+  const sockets = [];
+
+  /**
+   * Connect a socket; resolves once connected or rejects with the connection error
+   */
+  const openSocket = token => new Promise((resolve, reject) => {
+    const socket = connect(testServer.baseUrl, {
+      auth: token ? { token } : {},
+      transports: ['websocket'],
+      reconnection: false,
+      forceNew: true
+    });
+    sockets.push(socket);
+
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+
+  const emit = (socket, event, data) => socket.timeout(2000).emitWithAck(event, data);
+
+  before(async () => {
+    testServer = await startTestServer();
+    ({ token: adminToken } = await createUserAndLogin(testServer.request, { email: 'admin@example.com', role: 'admin' }));
+    ({ token: clientToken } = await createUserAndLogin(testServer.request, {
+      email: 'client@example.com',
+      role: 'client',
+      clientId: CLIENT_ID
+    }));
+  });
+
+  after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await testServer.close();
+  });
+
+  it('rejects connections without a valid token', async () => {
+    await assert.rejects(openSocket(), (error) => {
+      assert.equal(error.message, 'Authentication required');
+      assert.equal(error.data.code, 'AUTH_ERROR');
+      return true;
+    });
+    await assert.rejects(openSocket('not-a-token'), error => error.data.code === 'AUTH_ERROR');
+  });
+
+  it('lets staff join the team room with its history', async () => {
+    const socket = await openSocket(adminToken);
+    const roomHistory = new Promise(resolve => socket.once('room-history', resolve));
+
+    const ack = await emit(socket, 'join-room', { roomId: 'team' });
+
+    assert.deepEqual(ack, { ok: true, roomId: 'team', history: [] });
+    assert.deepEqual(await roomHistory, { roomId: 'team', messages: [] });
+  });
+
+  it('denies rooms outside the user access', async () => {
+    const socket = await openSocket(clientToken);
+
+    const team = await emit(socket, 'join-room', { roomId: 'team' });
+    assert.equal(team.ok, false);
+    assert.equal(team.code, 'FORBIDDEN');
+
+    const otherClient = await emit(socket, 'join-room', { roomId: `client-${randomUUID()}` });
+    assert.equal(otherClient.code, 'FORBIDDEN');
+  });
+
+  it('requires joining a room before sending to it', async () => {
+    const socket = await openSocket(clientToken);
+
+    const ack = await emit(socket, 'new-message', { roomId: CLIENT_ROOM, message: 'Hello' });
+    assert.equal(ack.ok, false);
+    assert.equal(ack.code, 'FORBIDDEN');
+  });
+
+  it('stores a message and broadcasts it to the room', async () => {
+    const admin = await openSocket(adminToken);
+    const client = await openSocket(clientToken);
+    assert.equal((await emit(admin, 'join-room', { roomId: CLIENT_ROOM })).ok, true);
+    assert.equal((await emit(client, 'join-room', { roomId: CLIENT_ROOM })).ok, true);
+
+    const received = new Promise(resolve => admin.once('message-received', resolve));
+    const ack = await emit(client, 'new-message', { roomId: CLIENT_ROOM, message: { body: 'When is the launch?' } });
+
+    assert.equal(ack.ok, true);
+    assert.equal(ack.message.body, 'When is the launch?');
+    assert.equal(ack.message.client_id, CLIENT_ID);
+    assert.equal(ack.message.recipient_ids, undefined);
+
+    const broadcast = await received;
+    assert.equal(broadcast.id, ack.message.id);
+    assert.equal(broadcast.roomId, CLIENT_ROOM);
+    assert.equal(broadcast.author_role, 'client');
+
+    const rejoin = await emit(admin, 'join-room', { roomId: CLIENT_ROOM });
+    assert.deepEqual(rejoin.history.map(message => message.id), [ack.message.id]);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * API Errors
+ * Errors carrying an HTTP status and error code for the JSON error response
+ */
+
+class ApiError extends Error {
+  constructor(message, status = 500, code = 'INTERNAL_ERROR', details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Resource not found') {
+    super(message, 404, 'NOT_FOUND');
+    this.name = 'NotFoundError';
+  }
+}
+
+class ValidationError extends ApiError {
+  constructor(message = 'Validation failed', details = null) {
+    super(message, 400, 'VALIDATION_ERROR', details);
+    this.name = 'ValidationError';
+  }
+}
+
+module.exports = {
+  ApiError,
+  NotFoundError,
+  ValidationError
+};
@@ -0,0 +1,82 @@
+/**
+ * Logger
+ * Structured JSON logging with winston. Every line logged while handling a
+ * request carries its request id; emails, passwords and tokens are redacted.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+const config = require('../config');
+
+const requestContext = new AsyncLocalStorage();
+
+// Keys whose values are never logged
+const SECRET_KEY_PATTERN = /pass(word)?|token|secret|authorization|cookie|api_?key/i;
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+// Keep the first character and the domain: ana@example.com -> a***@example.com
+const maskEmails = text => text.replace(EMAIL_PATTERN, '$1***@$2');
+
+// Fields added by winston itself
+const LOG_FIELDS = ['level', 'message', 'timestamp', 'requestId'];
+
+/**
+ * Copy a value with secrets replaced and email addresses masked
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return maskEmails(value);
+  if (value === null || typeof value !== 'object' || depth > 5) return value;
+
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth);
+  }
+
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => (
+    [key, SECRET_KEY_PATTERN.test(key) ? '[REDACTED]' : redact(item, depth + 1)]
+  )));
+};
+
+const redactFormat = winston.format((info) => {
+  Object.keys(info).forEach((key) => {
+    if (LOG_FIELDS.includes(key)) return;
+    info[key] = SECRET_KEY_PATTERN.test(key) ? '[REDACTED]' : redact(info[key]);
+  });
+  info.message = redact(info.message);
+  return info;
+});
+
+const requestIdFormat = winston.format((info) => {
+  const context = requestContext.getStore();
+  if (context && context.requestId && !info.requestId) info.requestId = context.requestId;
+  return info;
+});
+
+const logger = winston.createLogger({
+  level: config.logLevel,
+  format: winston.format.combine(
+    requestIdFormat(),
+    redactFormat(),
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  defaultMeta: { service: 'sales-resolve-backend' },
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Run fn with a request id attached to every line it logs, including async work it starts
+ */
+const runWithRequestId = (requestId, fn) => requestContext.run({ requestId }, fn);
+
+const getRequestId = () => {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+};
+
+module.exports = logger;
+module.exports.runWithRequestId = runWithRequestId;
+module.exports.getRequestId = getRequestId;
+module.exports.redact = redact;
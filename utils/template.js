@@ -0,0 +1,86 @@
+/**
+ * Template Rendering
+ * Minimal mustache-style templates where every interpolated value is escaped
+ *
+ *   {{name}}                  value of `name`, escaped
+ *   {{#name}}...{{/name}}     block rendered only when `name` is truthy
+ *   {{> partial}}             contents of a named partial
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' '
+};
+
+const MAX_PARTIAL_DEPTH = 5;
+
+/**
+ * Escape a value for use in HTML text or attribute values
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Make a value safe for a single-line email header such as the subject
+ */
+const escapeHeader = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/[\r\n\t\u0000-\u001f\u007f]+/g, ' ')
+  .trim()
+  .slice(0, 200);
+
+/**
+ * Render a template string with the given context
+ */
+const renderTemplate = (template, context = {}, { partials = {}, escape = escapeHtml } = {}) => {
+  let output = template;
+
+  for (let depth = 0; depth < MAX_PARTIAL_DEPTH && /{{>/.test(output); depth++) {
+    output = output.replace(/{{>\s*([\w-]+)\s*}}/g, (match, name) => {
+      if (partials[name] === undefined) {
+        throw new Error(`Unknown template partial: ${name}`);
+      }
+      return partials[name];
+    });
+  }
+
+  output = output.replace(/{{#(\w+)}}([\s\S]*?){{\/\1}}/g, (match, key, inner) => (context[key] ? inner : ''));
+
+  // Single pass, so values that contain {{...}} are never expanded
+  return output.replace(/{{\s*(\w+)\s*}}/g, (match, key) => escape(context[key]));
+};
+
+/**
+ * Derive a plain-text alternative from rendered HTML
+ */
+const htmlToText = (html) => html
+  .replace(/<(style|head)[\s\S]*?<\/\1>/gi, '')
+  .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => `${label.replace(/\s+/g, ' ').trim()}: ${href}`)
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<li[^>]*>/gi, '- ')
+  .replace(/<\/(p|div|h[1-6]|li|ul|ol|tr)>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(amp|lt|gt|quot|nbsp|#39);/g, entity => HTML_ENTITIES[entity])
+  .split('\n')
+  .map(line => line.replace(/[ \t]+/g, ' ').trim())
+  .join('\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+module.exports = {
+  escapeHtml,
+  escapeHeader,
+  renderTemplate,
+  htmlToText
+};